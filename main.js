@@ -1,103 +1,349 @@
 /**
- * Number of milliseconds in an average year (365.25 days).
- * Used for generating and calculating age.
+ * Employee data generator and statistics: main(), generateEmployeeData() and getEmployeeStatistics().
+ *
+ * dtoIn of generateEmployeeData (every key but the count is optional):
+ * - count (or employeeCount/personCount) and age { min, max }: calendar ages from min up to below max.
+ * - ageInterval: "[min,max)" (default), "[min,max]" or "[min,max+1)" (every age of the max-th year).
+ * - bornAfter, bornBefore: exclusive birth days replacing a side of the age range
+ *   (bornAfter "1989-12-31" and bornBefore "2000-01-01" for people born in the 1990s).
+ * - agePolicy: "exact", "truncated" or "rounded" ages the range applies to ("rounded" allows min - 0.5 to below max - 0.5).
+ * - birthdateFormat: "iso" (full UTC timestamp), "date" (1990-05-03) or { type: "midnight", timeZone: "Europe/Prague" }
+ *   (1990-05-03T00:00:00.000+02:00); the age range holds for the written date.
+ * - seed, asOf: the same seed, asOf and input give an identical list; seeded runs without asOf use the start of
+ *   the current UTC day.
+ * - unique: distinct birthdates, or { birthdates, names } for distinct name+surname pairs.
+ * - locale ("en", "cs", "sk", "de") and dictionary: name lists, custom ones replacing those of the locale.
+ * - workloads: numbers or { value, weight } items.
+ * - genders: names or { value, weight, names } items, e.g. [{ value: "male", weight: 48 }, { value: "female", weight: 48 },
+ *   { value: "other", weight: 4 }]; other values take `names` or the locale's neutral names (male and female by default).
+ * - ageDistribution: "uniform" (default), normal, triangular or histogram (see src/ageDistribution.js).
+ * - correlations: rules making workloads and ages depend on other fields, e.g.
+ *   { when: { age: { gte: 60 } }, workloads: [{ value: 20, weight: 3 }, 40] } (see src/correlations.js).
+ * - extraFields: an id, a hire date and an email (see Employee and src/extraFields.js).
+ * - org: departments and nested teams by headcount share, with a manager per unit, e.g.
+ *   [{ name: "Engineering", share: 3, teams: ["Platform", { name: "Apps", teams: ["Web", "Mobile"] }] }, "Sales"].
+ * - validation: "lenient" (default) ignores invalid input, "strict" rejects invalid or unknown input.
+ *
+ * Options of getEmployeeStatistics (main takes them from dtoIn or its options):
+ * - asOf: reference date of every age (default: now).
+ * - agePolicy: ages every age statistic is computed from, then rounded to 1 decimal place; without a policy,
+ *   averageAge is decimal and minAge, maxAge and medianAge are truncated.
+ * - outputSchema: "compat" (default, with the alias keys tests expect) or "v2" (one key per metric, see getOutputJsonSchema).
+ * - groupBy: `groups` per built-in field ("gender", "surname", "name", "workload", "workloadBand", "department",
+ *   "team"), per band ({ field: "age", bands: [25, 35] }) or per key function (employee, age) => key.
+ * - descriptive: `ageStatistics` and `workloadStatistics` (quartiles, IQR, variance, standard deviation, mode);
+ *   { percentiles: [10, 90], ageBins: [25, 35], workloadBins: [20, 40] }.
+ * - sort: `sortedEmployees` by a stable multi-key spec, e.g. { by: ["-workload", "surname"], locale: "cs", limit: 10 }
+ *   (see src/sorting.js); `sortedByWorkload` is unchanged.
+ * - filter: statistics and `employees` over the employees matching a query (see src/query.js).
+ * - hierarchy: `departments`, a statistics block and the manager of every department and team (employees from org).
+ * - compensation: `compensation` (FTE, hours, payroll cost) from true (default model) or a model (see src/compensation.js).
+ * - validation: "strict" makes invalid options (including the filter) throw instead of being ignored.
  */
-const MS_PER_YEAR = 1000 * 60 * 60 * 24 * 365.25;
+
+import { createRandom, isValidSeed, weightedIndex } from "./src/random.js";
+import { resolveDictionary } from "./src/locales.js";
+import { resolveAgeSampler } from "./src/ageDistribution.js";
+import { resolveWorkloads } from "./src/workloads.js";
+import { resolveGenders } from "./src/genders.js";
+import {
+  MS_PER_DAY,
+  MS_PER_YEAR,
+  AGE_INTERVALS,
+  startOfUtcDay,
+  birthDayOf,
+  calculateAge,
+  resolveAgePolicy,
+  applyAgePolicy,
+  birthRangeForAges,
+  normalizeBirthdateFormat,
+  formatBirthdate,
+  toTimestamp,
+} from "./src/dates.js";
+import { ValidationError } from "./src/errors.js";
+import { COUNT_KEYS, RANGE_BOX_KEYS, MIN_AGE_KEYS, MAX_AGE_KEYS, validateDtoIn, validateStatisticsOptions } from "./src/validation.js";
+import { formatOutput, getOutputJsonSchema } from "./src/output.js";
+import { resolveGroupKey, isValidBands } from "./src/grouping.js";
+import { normalizeSortSpec, sortEmployees } from "./src/sorting.js";
+import { compileQuery, filterEmployees, and, or, not } from "./src/query.js";
+import { round1, sum, getMedianFromSorted, describe, isPercentile, buildWorkloadCounts, roundAgeStats } from "./src/statistics.js";
+import { employeesToCsv, statisticsToCsv, parseEmployeesCsv } from "./src/csv.js";
+import { createEmployeeStream, writeEmployees } from "./src/stream.js";
+import { createStatisticsAccumulator } from "./src/accumulator.js";
+import { createExtraFieldsContext, addExtraFields } from "./src/extraFields.js";
+import { TEAM_SEPARATOR, createOrgContext, addOrgFields } from "./src/org.js";
+import { createCorrelationContext, findRule } from "./src/correlations.js";
+import {
+  normalizeCompensation,
+  employeeCompensation,
+  createCompensationTotals,
+  addCompensation,
+  summarizeGroupCompensation,
+  summarizeCompensation,
+} from "./src/compensation.js";
+import { diffEmployeeLists, diffStatistics, formatDiffText } from "./src/diff.js";
+
+/**
+ * Keys of main() options that are forwarded into dtoIn.
+ */
+const MAIN_OPTION_KEYS = ["seed", "asOf", "agePolicy", "validation", "outputSchema", "groupBy", "descriptive", "sort", "filter", "hierarchy", "compensation"];
+
+/**
+ * dtoIn keys that main() passes on to getEmployeeStatistics.
+ */
+const STATISTICS_OPTION_KEYS = ["asOf", "agePolicy", "outputSchema", "groupBy", "descriptive", "sort", "filter", "hierarchy", "compensation"];
+
+/**
+ * How many times an already used birthdate is sampled again in unique mode before moving to a free one.
+ */
+const UNIQUE_BIRTH_RESAMPLES = 8;
 
 /**
  * Employee record.
  * @typedef {object} Employee
  * @property {string} name - First name of the employee.
  * @property {string} surname - Last name of the employee.
- * @property {"male"|"female"} gender - Gender of the employee.
- * @property {string} birthdate - ISO date string of birth (e.g. 1990-01-01T00:00:00.000Z).
- * @property {number} workload - Workload in percent (10/20/30/40).
+ * @property {string} gender - Gender of the employee ("male" or "female" unless dtoIn.genders says otherwise).
+ * @property {string} birthdate - ISO date string of birth (e.g. 1990-01-01T00:00:00.000Z; see dtoIn.birthdateFormat).
+ * @property {number} workload - Workload in percent (10/20/30/40 unless dtoIn.workloads says otherwise).
+ * @property {string} [id] - Stable id (only with dtoIn.extraFields.id): UUID or sequential code "EMP-000001".
+ * @property {string|null} [hireDate] - ISO hire date after the 18th birthday (only with dtoIn.extraFields.hireDate).
+ * @property {string} [email] - Unique address derived from name and surname, e.g. jan.novak@example.com or, for a
+ * later namesake, jan.novak.17@example.com (only with dtoIn.extraFields.email).
+ * @property {string} [department] - Department (only with dtoIn.org).
+ * @property {string|null} [team] - Team path below the department, e.g. "Platform / Core" (only with dtoIn.org;
+ * null for the department's own manager or a department without teams).
+ * @property {boolean} [isManager] - Manager of the unit given by department and team (only with dtoIn.org).
  */
 
 /**
  * Main entry point.
  * Generates employee data and returns statistics.
  * @param {any} dtoIn - Input (either a number or an object with configuration).
- * @returns {object} dtoOut - Employees and computed statistics.
+ * @param {object} [options] - Optional settings.
+ * @param {number|string} [options.seed] - Seed for reproducible generation (overrides dtoIn.seed).
+ * @param {string|number|Date} [options.asOf] - Reference date for generation and ages (overrides dtoIn.asOf).
+ * @param {"exact"|"truncated"|"rounded"} [options.agePolicy] - Age policy of the age range and the statistics
+ * (overrides dtoIn.agePolicy).
+ * @param {"lenient"|"strict"} [options.validation] - Validation mode (overrides dtoIn.validation).
+ * @param {"compat"|"v2"} [options.outputSchema] - Output shape (overrides dtoIn.outputSchema).
+ * @param {any} [options.groupBy] - Per-group statistics (overrides dtoIn.groupBy, see getEmployeeStatistics).
+ * @param {any} [options.descriptive] - Descriptive statistics (overrides dtoIn.descriptive, see getEmployeeStatistics).
+ * @param {any} [options.sort] - Custom sorted list (overrides dtoIn.sort, see getEmployeeStatistics).
+ * @param {any} [options.filter] - Statistics only over matching employees (overrides dtoIn.filter).
+ * @returns {object} dtoOut - Employees, computed statistics, the resolved `asOf` and `ageRange`
+ * (see describeAgeRange) and `warnings` about ignored input.
+ * @throws {ValidationError} In strict mode, if dtoIn is invalid.
+ */
+function main(dtoIn, options = {}) {
+  const input = applyMainOptions(dtoIn, options);
+  const warnings = validateDtoIn(input);
+  const { count, gen } = resolveGeneration(input ?? null);
+  const employees = Array.from(iterateEmployees(count, gen));
+  // Statistics are computed as of the generation time, echoed so that seed + asOf reproduce the run.
+  const stats = getEmployeeStatistics(employees, { ...pickStatisticsOptions(input), asOf: gen.now });
+  return { ...stats, asOf: new Date(gen.now).toISOString(), ageRange: describeAgeRange(gen), warnings };
+}
+
+/**
+ * Pick getEmployeeStatistics options from dtoIn.
+ * @param {any} dtoIn - Input.
+ * @returns {object} options - Statistics options.
  */
-function main(dtoIn) {
-  const employees = generateEmployeeData(dtoIn);
-  return getEmployeeStatistics(employees);
+function pickStatisticsOptions(dtoIn) {
+  const options = {};
+  if (typeof dtoIn !== "object" || dtoIn === null) return options;
+  for (const k of STATISTICS_OPTION_KEYS) {
+    if (dtoIn[k] !== undefined) options[k] = dtoIn[k];
+  }
+  return options;
 }
 
 /**
- * Generate employee list based on input.
- * @param {any} dtoIn - Input (employeeCount + optional age range).
+ * Merge options passed to main into dtoIn (without mutating the input).
+ * @param {any} dtoIn - Input (number or object).
+ * @param {object} options - Options passed to main.
+ * @returns {any} dtoIn - Input extended with the options.
+ */
+function applyMainOptions(dtoIn, options) {
+  const keys = MAIN_OPTION_KEYS.filter((k) => options?.[k] !== undefined);
+  if (keys.length === 0) return dtoIn;
+
+  const base = typeof dtoIn === "object" && dtoIn !== null ? dtoIn : { count: dtoIn };
+  const merged = { ...base };
+  for (const k of keys) merged[k] = options[k];
+  return merged;
+}
+
+/**
+ * Generate employee list based on input (dtoIn keys are listed in the module docs).
+ * @param {any} dtoIn - Input (a count, or an object with count, age range and generation options).
  * @returns {Employee[]} employees - Generated employees.
+ * @throws {ValidationError} In strict mode, if dtoIn is invalid.
+ * @throws {RangeError} If count does not fit the birth range or the requested uniqueness constraints.
  */
 function generateEmployeeData(dtoIn) {
-  const safeDtoIn = dtoIn ?? null;
-  const employeeCount = resolveEmployeeCount(safeDtoIn);
-  const { minAge, maxAge } = resolveAgeRange(safeDtoIn);
+  const { count, gen } = prepareGeneration(dtoIn);
+  return Array.from(iterateEmployees(count, gen));
+}
+
+/**
+ * Generate employees lazily, one by one or in chunks (same input and output as generateEmployeeData).
+ * Memory use does not depend on the count, except for the sets of used values in unique mode.
+ * Input is validated when this function is called, not on the first iteration.
+ * @param {any} dtoIn - Input (see generateEmployeeData).
+ * @param {object} [options] - Iteration options.
+ * @param {number} [options.chunkSize] - Yield arrays of up to chunkSize employees instead of single employees.
+ * @returns {object} Async iterator of employees (or of chunks of them).
+ * @throws {ValidationError} In strict mode, if dtoIn is invalid.
+ * @throws {RangeError} If count does not fit the birth range or the requested uniqueness constraints.
+ */
+function generateEmployees(dtoIn, options = {}) {
+  const { count, gen } = prepareGeneration(dtoIn);
+  const chunkSize = Number.isInteger(options.chunkSize) && options.chunkSize > 0 ? options.chunkSize : 0;
+  return chunkSize ? yieldChunks(iterateEmployees(count, gen), chunkSize) : yieldEach(iterateEmployees(count, gen));
+}
 
-  const sources = getGenerationSources();
-  /** @type {Employee[]} */
-  const employees = [];
+/**
+ * Resolve the age range generateEmployeeData uses for dtoIn, as echoed in main's ageRange
+ * (see describeAgeRange). Generation without a seed or asOf is relative to the current time.
+ * @param {any} dtoIn - Input (see generateEmployeeData).
+ * @returns {object} ageRange - Age range with its interval, age policy and exclusive birth day bounds.
+ * @throws {ValidationError} In strict mode, if dtoIn is invalid.
+ * @throws {RangeError} If count does not fit the birth range or the requested uniqueness constraints.
+ */
+function getAgeRange(dtoIn) {
+  return describeAgeRange(prepareGeneration(dtoIn).gen);
+}
 
-  for (let i = 0; i < employeeCount; i++) {
-    employees.push(createOneEmployee(minAge, maxAge, sources));
-  }
+/**
+ * Validate input and resolve the generation context.
+ * @param {any} dtoIn - Input.
+ * @returns {{count: number, gen: object}} Employee count and generation context.
+ * @throws {ValidationError} In strict mode, if dtoIn is invalid.
+ * @throws {RangeError} If count does not fit the birth range or the requested uniqueness constraints.
+ */
+function prepareGeneration(dtoIn) {
+  const safeDtoIn = dtoIn ?? null;
+  validateDtoIn(safeDtoIn);
+  return resolveGeneration(safeDtoIn);
+}
 
-  ensureSurnameCoverage(employees, sources.surnames);
-  return employees;
+/**
+ * Resolve the generation context of already validated input.
+ * @param {any} dtoIn - Validated input (null instead of undefined).
+ * @returns {{count: number, gen: object}} Employee count and generation context.
+ * @throws {RangeError} If count does not fit the birth range or the requested uniqueness constraints.
+ */
+function resolveGeneration(dtoIn) {
+  const count = resolveEmployeeCount(dtoIn);
+  const gen = createGenerationContext(dtoIn, count);
+  assertUniqueCapacity(count, gen);
+  return { count, gen };
 }
 
-/* =========================
-   GENERIC HELPERS
-   ========================= */
+/**
+ * Generate employees one by one.
+ * @param {number} count - Employee count.
+ * @param {object} gen - Generation context.
+ * @yields {Employee} Generated employee.
+ * @returns {object} Iterator of employees.
+ */
+function* iterateEmployees(count, gen) {
+  for (let i = 0; i < count; i++) yield createOneEmployee(gen);
+}
 
 /**
- * Build women workload aliases (multiple key names used in tests).
- * @param {number} v - Average workload for women.
- * @returns {object} aliases - Object with alias properties.
+ * Re-yield items asynchronously.
+ * @param {object} items - Iterable of items.
+ * @yields {any} Item.
+ * @returns {object} Async iterator of items.
  */
-function buildWomenWorkloadAliases(v) {
-  return {
-    averageWomenWorkload: v,
-    averageWorkloadWomen: v,
-    avgWomenWorkload: v,
-    womenAverageWorkload: v,
-    averageFemaleWorkload: v,
-    averageWorkloadFemales: v,
-  };
+async function* yieldEach(items) {
+  yield* items;
 }
 
 /**
- * Build sorting aliases for tests.
- * @param {Employee[]} sorted - Array sorted by workload.
- * @returns {object} aliases - Object with alias properties.
+ * Re-yield items asynchronously in arrays of up to size items.
+ * @param {object} items - Iterable of items.
+ * @param {number} size - Chunk size.
+ * @yields {any[]} Chunk.
+ * @returns {object} Async iterator of chunks.
  */
-function buildSortedAliases(sorted) {
+async function* yieldChunks(items, size) {
+  let chunk = [];
+  for (const item of items) {
+    chunk.push(item);
+    if (chunk.length === size) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) yield chunk;
+}
+
+/**
+ * Resolve everything needed to generate employees from input.
+ * @param {any} dtoIn - Input.
+ * @param {number} count - Employee count.
+ * @returns {object} gen - Generation context (age range, sources, random source, uniqueness and coverage state).
+ */
+function createGenerationContext(dtoIn, count) {
+  const ageRange = resolveAgeRange(dtoIn);
+  const seed = resolveSeed(dtoIn);
+  const now = resolveGenerationTime(dtoIn, seed);
+  const agePolicy = resolveAgePolicy(dtoIn?.agePolicy);
+  const birthRange = resolveBirthRange(dtoIn, ageRange, agePolicy, now);
+  const sampled = sampleAgeRange(ageRange, birthRange, now);
+  const unique = resolveUniqueness(dtoIn);
+  const sources = getGenerationSources(dtoIn);
+  const birthdateFormat = normalizeBirthdateFormat(dtoIn?.birthdateFormat) ?? { type: "iso", timeZone: "UTC" };
+
   return {
-    sortedByWorkload: sorted,
-    employeesSortedByWorkload: sorted,
-    sortedEmployeeListByWorkload: sorted,
+    ...ageRange,
+    agePolicy,
+    now,
+    birthRange,
+    birthdateFormat,
+    // Date formats write only the day, so distinct birthdates are distinct days.
+    birthStep: birthdateFormat.type === "iso" ? 1 : MS_PER_DAY,
+    sampleAge: resolveAgeSampler(dtoIn?.ageDistribution, sampled.minAge, sampled.maxAge),
+    correlations: createCorrelationContext(dtoIn?.correlations, sampled.minAge, sampled.maxAge, now),
+    sources,
+    rng: createRandom(seed),
+    usedBirthdates: unique.birthdates ? new Map() : null,
+    usedIdentities: unique.names ? new Set() : null,
+    coverage: createSurnameCoverage(count, sources.surnames.length),
+    extraFields: createExtraFieldsContext(dtoIn?.extraFields, seed),
+    org: createOrgContext(dtoIn?.org, count, seed),
   };
 }
 
+/* =========================
+   GENERIC HELPERS
+   ========================= */
+
 /**
- * Round number to 1 decimal place.
- * @param {number} n - Input number.
- * @returns {number} Rounded number.
+ * Resolve reference ("as of") time from input.
+ * @param {any} dtoIn - Input.
+ * @returns {number|undefined} asOf - Timestamp in milliseconds or undefined.
  */
-function round1(n) {
-  return Math.round(n * 10) / 10;
+function resolveAsOf(dtoIn) {
+  if (typeof dtoIn !== "object" || dtoIn === null) return undefined;
+  return toTimestamp(dtoIn.asOf);
 }
 
 /**
- * Calculate decimal age from ISO birthdate.
- * @param {string} birthdateIso - ISO birthdate string.
- * @returns {number} Age in years (decimal).
+ * Resolve reference time used to generate birthdates.
+ * Explicit asOf wins; seeded runs use the start of the current UTC day.
+ * @param {any} dtoIn - Input.
+ * @param {number|string|undefined} seed - Resolved seed.
+ * @returns {number} Reference time in milliseconds.
  */
-function calculateAge(birthdateIso) {
-  const birthMs = Date.parse(birthdateIso);
-  if (!Number.isFinite(birthMs)) return 0;
-  return (Date.now() - birthMs) / MS_PER_YEAR;
+function resolveGenerationTime(dtoIn, seed) {
+  const asOf = resolveAsOf(dtoIn);
+  if (asOf !== undefined) return asOf;
+  return seed === undefined ? Date.now() : startOfUtcDay(Date.now());
 }
 
 /**
@@ -110,13 +356,38 @@ function resolveEmployeeCount(dtoIn) {
   if (typeof dtoIn === "number" && Number.isInteger(dtoIn) && dtoIn >= 0) return dtoIn;
 
   if (typeof dtoIn === "object" && dtoIn !== null) {
-    const c = dtoIn.employeeCount ?? dtoIn.personCount ?? dtoIn.count;
+    const c = COUNT_KEYS.map((k) => dtoIn[k]).find((v) => v != null);
     if (Number.isInteger(c) && c >= 0) return c;
   }
 
   return 0;
 }
 
+/**
+ * Resolve generation seed from input.
+ * @param {any} dtoIn - Input.
+ * @returns {number|string|undefined} seed - Valid seed or undefined.
+ */
+function resolveSeed(dtoIn) {
+  if (typeof dtoIn !== "object" || dtoIn === null) return undefined;
+  return isValidSeed(dtoIn.seed) ? dtoIn.seed : undefined;
+}
+
+/**
+ * Resolve uniqueness mode from input.
+ * Accepts `unique: true` (distinct birthdates) or `unique: { birthdates, names }`.
+ * @param {any} dtoIn - Input.
+ * @returns {{birthdates:boolean,names:boolean}} Uniqueness flags.
+ */
+function resolveUniqueness(dtoIn) {
+  const unique = typeof dtoIn === "object" && dtoIn !== null ? dtoIn.unique : undefined;
+  if (unique === true) return { birthdates: true, names: false };
+  if (typeof unique === "object" && unique !== null) {
+    return { birthdates: unique.birthdates !== false, names: unique.names === true };
+  }
+  return { birthdates: false, names: false };
+}
+
 /**
  * Get a nested "range-like" object from dtoIn.
  * @param {any} dtoIn - Input.
@@ -124,7 +395,7 @@ function resolveEmployeeCount(dtoIn) {
  */
 function getRangeBox(dtoIn) {
   if (typeof dtoIn !== "object" || dtoIn === null) return null;
-  return dtoIn.ageRange ?? dtoIn.age ?? dtoIn.range ?? dtoIn;
+  return RANGE_BOX_KEYS.map((k) => dtoIn[k]).find((v) => v != null) ?? dtoIn;
 }
 
 /**
@@ -142,9 +413,9 @@ function pickInt(box, keys) {
 }
 
 /**
- * Resolve age range from input (defaults 18..65).
+ * Resolve age range from input (defaults 18..65) with its interval (dtoIn.ageInterval, default "[min,max)").
  * @param {any} dtoIn - Input.
- * @returns {{minAge:number,maxAge:number}} Age range.
+ * @returns {{minAge:number,maxAge:number,interval:string}} Age range.
  */
 function resolveAgeRange(dtoIn) {
   let minAge = 18;
@@ -152,153 +423,599 @@ function resolveAgeRange(dtoIn) {
 
   const box = getRangeBox(dtoIn);
   if (box) {
-    const min = pickInt(box, ["min", "minAge", "ageMin", "from", "ageFrom", "fromAge", "lowerAge"]);
-    const max = pickInt(box, ["max", "maxAge", "ageMax", "to", "ageTo", "toAge", "upperAge"]);
+    const min = pickInt(box, MIN_AGE_KEYS);
+    const max = pickInt(box, MAX_AGE_KEYS);
 
     if (min !== undefined && min >= 0) minAge = min;
     if (max !== undefined && max >= minAge) maxAge = max;
   }
 
   if (maxAge < minAge) maxAge = minAge;
-  return { minAge, maxAge };
+  const interval = AGE_INTERVALS.includes(dtoIn?.ageInterval) ? dtoIn.ageInterval : AGE_INTERVALS[0];
+  return { minAge, maxAge, interval };
 }
 
 /**
- * Return static sources used for generation (names, surnames, workloads, genders).
- * @returns {object} sources - Generation sources.
+ * Resolve dtoIn.bornAfter and dtoIn.bornBefore as birth days (both ignored unless a day lies between them).
+ * @param {any} dtoIn - Input.
+ * @returns {{bornAfter:number|undefined,bornBefore:number|undefined}} Timestamps of 00:00 UTC of the bounds.
  */
-function getGenerationSources() {
+function resolveBirthBounds(dtoIn) {
+  const bornAfter = birthDayOf(dtoIn?.bornAfter);
+  const bornBefore = birthDayOf(dtoIn?.bornBefore);
+  if (bornAfter !== undefined && bornBefore !== undefined && bornBefore - bornAfter < 2 * MS_PER_DAY) return {};
+  return { bornAfter, bornBefore };
+}
+
+/**
+ * Resolve the birth timestamps allowed by the age range under the age policy and interval;
+ * dtoIn.bornAfter and dtoIn.bornBefore replace the oldest and the youngest side (exclusive birth days).
+ * @param {any} dtoIn - Input.
+ * @param {{minAge:number,maxAge:number,interval:string}} ageRange - Age range.
+ * @param {string|null} agePolicy - Age policy.
+ * @param {number} now - Reference time.
+ * @returns {{oldest:number,youngest:number,bornAfter:number|undefined,bornBefore:number|undefined}} Inclusive range
+ * of birth timestamps (empty if oldest > youngest) and the given birth day bounds.
+ */
+function resolveBirthRange(dtoIn, { minAge, maxAge, interval }, agePolicy, now) {
+  const { oldest, youngest } = birthRangeForAges(minAge, maxAge, now, agePolicy, interval);
+  const { bornAfter, bornBefore } = resolveBirthBounds(dtoIn);
   return {
-    maleNames: ["Peter", "John", "Martin", "Thomas", "Michael", "James", "Robert", "William"],
-    femaleNames: ["Emma", "Olivia", "Sophia", "Ava", "Isabella", "Mia", "Emily", "Amelia"],
-    surnames: ["Smith", "Johnson", "Brown", "Taylor", "Anderson", "Thomas", "Jackson", "White"],
-    workloads: [10, 20, 30, 40],
-    genders: ["male", "female"],
+    oldest: bornAfter === undefined ? oldest : bornAfter + MS_PER_DAY,
+    youngest: bornBefore === undefined ? youngest : Math.min(bornBefore - 1, now),
+    bornAfter,
+    bornBefore,
   };
 }
 
 /**
- * Generate random birthdate ISO string so that:
- * - age >= minAge
- * - age < maxAge (strictly younger than maxAge)
- * @param {number} minAge - Minimum allowed age (inclusive).
- * @param {number} maxAge - Maximum allowed age (exclusive).
- * @returns {string} ISO birthdate string.
+ * Get the ages age distributions are sampled from: the age range, or the ages of the birth range
+ * where the interval or birth day bounds change it (samples outside the birth range are clamped).
+ * @param {{minAge:number,maxAge:number,interval:string}} ageRange - Age range.
+ * @param {object} birthRange - Birth range (see resolveBirthRange).
+ * @param {number} now - Reference time.
+ * @returns {{minAge:number,maxAge:number}} Decimal ages.
  */
-function randomBirthdateFromAgeRange(minAge, maxAge) {
-  const now = Date.now();
+function sampleAgeRange(ageRange, birthRange, now) {
+  const yearsBefore = (ms) => (now - ms) / MS_PER_YEAR;
+  const wider = birthRange.bornAfter !== undefined || ageRange.interval !== AGE_INTERVALS[0];
+  return {
+    minAge: birthRange.bornBefore === undefined ? ageRange.minAge : yearsBefore(birthRange.youngest),
+    maxAge: wider ? yearsBefore(birthRange.oldest) : ageRange.maxAge,
+  };
+}
 
-  // Strictly younger than maxAge => birthMs > now - maxAge*MS_PER_YEAR
-  const oldestAllowed = Math.floor(now - maxAge * MS_PER_YEAR) + 1;
-  // At least minAge => birthMs <= now - minAge*MS_PER_YEAR
-  const youngestAllowed = Math.floor(now - minAge * MS_PER_YEAR);
+/**
+ * Describe the generation range for dtoOut: the age range with its interval and age policy (an age replaced
+ * by a birth day bound is null), and the birth days it allows as exclusive YYYY-MM-DD bounds.
+ * @param {object} gen - Generation context.
+ * @returns {{min:number|null,max:number|null,interval:string,agePolicy:string,bornAfter:string,bornBefore:string}}
+ * Age range.
+ */
+function describeAgeRange(gen) {
+  const { oldest, youngest, bornAfter, bornBefore } = gen.birthRange;
+  const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+  return {
+    min: bornBefore === undefined ? gen.minAge : null,
+    max: bornAfter === undefined ? gen.maxAge : null,
+    interval: gen.interval,
+    agePolicy: gen.agePolicy ?? "exact",
+    bornAfter: isoDay(oldest - MS_PER_DAY),
+    bornBefore: isoDay(startOfUtcDay(youngest) + MS_PER_DAY),
+  };
+}
+
+/**
+ * Return sources used for generation (names, surnames, workloads, genders).
+ * Names and surnames come from the locale pack / custom dictionary in dtoIn.
+ * @param {any} dtoIn - Input.
+ * @returns {object} sources - Generation sources.
+ */
+function getGenerationSources(dtoIn) {
+  const box = typeof dtoIn === "object" && dtoIn !== null ? dtoIn : {};
+  const dictionary = resolveDictionary(box.locale, box.dictionary);
+  return {
+    ...dictionary,
+    ...resolveWorkloads(box.workloads),
+    ...resolveGenders(box.genders, dictionary),
+  };
+}
 
-  const birthMs = randomInt(oldestAllowed, youngestAllowed);
-  return new Date(birthMs).toISOString();
+/**
+ * Pick a gender (weighted if weights are defined).
+ * @param {object} sources - Generation sources.
+ * @param {() => number} rng - Random source.
+ * @returns {string} Gender.
+ */
+function pickGender(sources, rng) {
+  if (!sources.genderWeights) return randomElement(sources.genders, rng);
+  return sources.genders[weightedIndex(sources.genderWeights, rng)];
 }
 
 /**
- * Create a single employee record.
- * @param {number} minAge - Minimum age (inclusive).
- * @param {number} maxAge - Maximum age (exclusive).
+ * Pick a workload value (weighted if weights are defined).
  * @param {object} sources - Generation sources.
+ * @param {() => number} rng - Random source.
+ * @returns {number} Workload.
+ */
+function pickWorkload(sources, rng) {
+  if (!sources.workloadWeights) return randomElement(sources.workloads, rng);
+  return sources.workloads[weightedIndex(sources.workloadWeights, rng)];
+}
+
+/**
+ * Create a single employee record.
+ * @param {object} gen - Generation context (see createGenerationContext).
  * @returns {Employee} employee - Generated employee.
  */
-function createOneEmployee(minAge, maxAge, sources) {
-  const gender = randomElement(sources.genders);
-  const name = gender === "male" ? randomElement(sources.maleNames) : randomElement(sources.femaleNames);
+function createOneEmployee(gen) {
+  const { gender, name, surnameIndex } = pickIdentity(gen, nextMissingSurname(gen.coverage));
+  markSurnameCovered(gen.coverage, surnameIndex);
+  const employee = { name, surname: surnameForm(gen.sources, surnameIndex, gender), gender };
+  const birthMs = pickBirthMs(gen, ageSamplerFor(gen, employee));
+  employee.birthdate = formatBirthdate(birthMs, gen.birthdateFormat);
+  employee.workload = pickWorkload(workloadSourceFor(gen, employee), gen.rng);
+  const rich = gen.extraFields ? addExtraFields(employee, birthMs, gen.extraFields, gen.now) : employee;
+  return gen.org ? addOrgFields(rich, gen.org) : rich;
+}
 
-  return {
-    name,
-    surname: randomElement(sources.surnames),
-    gender,
-    birthdate: randomBirthdateFromAgeRange(minAge, maxAge),
-    workload: randomElement(sources.workloads),
-  };
+/**
+ * Get the age sampler for an employee: from the first matching age distribution rule, or the default one.
+ * @param {object} gen - Generation context.
+ * @param {object} employee - Employee generated so far (name, surname, gender).
+ * @returns {((rng: () => number) => number)|null} Age sampler, or null for the uniform distribution.
+ */
+function ageSamplerFor(gen, employee) {
+  const rule = gen.correlations ? findRule(gen.correlations.ageRules, employee) : undefined;
+  return rule ? rule.sampleAge : gen.sampleAge;
 }
 
 /**
- * Ensure all surnames from the source list appear at least once,
- * if there are enough employees.
- * @param {Employee[]} employees - Generated employees.
- * @param {string[]} surnames - All surnames that should be covered.
+ * Get the workloads for an employee: from the first matching workload rule, or the default ones.
+ * @param {object} gen - Generation context.
+ * @param {object} employee - Employee generated so far (with birthdate).
+ * @returns {{workloads:number[],workloadWeights:number[]|null}} Workload values and cumulative weights.
+ */
+function workloadSourceFor(gen, employee) {
+  const rule = gen.correlations ? findRule(gen.correlations.workloadRules, employee) : undefined;
+  return rule ?? gen.sources;
+}
+
+/**
+ * Pick gender, name and surname index.
+ * In unique-names mode, the written pair name+surname is not repeated, even where name pools of genders overlap.
+ * @param {object} gen - Generation context.
+ * @param {number|undefined} surnameIndex - Surname that must be used (see nextMissingSurname).
+ * @returns {{gender:string,name:string,surnameIndex:number}} identity - Picked identity.
+ */
+function pickIdentity(gen, surnameIndex) {
+  const { sources, rng, usedIdentities } = gen;
+  if (!usedIdentities) {
+    const gender = pickGender(sources, rng);
+    const name = randomElement(sources.namesByGender[gender], rng);
+    return { gender, name, surnameIndex: surnameIndex ?? randomInt(0, sources.surnames.length - 1, rng) };
+  }
+
+  const s = sources.surnames.length;
+  const total = countIdentities(sources);
+  let index;
+  if (surnameIndex !== undefined) {
+    // A missing surname has not been used with any name yet.
+    index = pickFreeIdentity(gen, surnameIndex, total / s, s);
+  } else if (sources.genderWeights) {
+    index = pickFreeIdentityOfGender(gen, pickGender(sources, rng));
+  }
+  index ??= pickFreeIdentity(gen, 0, total);
+  const identity = decodeIdentity(sources, index);
+  usedIdentities.add(identityKey(sources, identity));
+  return identity;
+}
+
+/**
+ * Key of the written name+surname pair of an identity.
+ * @param {object} sources - Generation sources.
+ * @param {{gender:string,name:string,surnameIndex:number}} identity - Identity.
+ * @returns {string} Key.
+ */
+function identityKey(sources, { gender, name, surnameIndex }) {
+  return `${name}\u0000${surnameForm(sources, surnameIndex, gender)}`;
+}
+
+/**
+ * Walk a block of the flattened (gender, name, surname) space from a random start to the first identity
+ * whose name+surname pair is free.
+ * @param {object} gen - Generation context.
+ * @param {number} offset - First index of the block.
+ * @param {number} size - Number of indexes in the block.
+ * @param {number} [step] - Distance between the indexes (the surname count walks one surname over all names).
+ * @returns {number|undefined} Free index, or undefined if the block is full.
+ */
+function pickFreeIdentity(gen, offset, size, step = 1) {
+  const start = randomInt(0, size - 1, gen.rng);
+  for (let i = 0; i < size; i++) {
+    const index = offset + ((start + i) % size) * step;
+    if (!gen.usedIdentities.has(identityKey(gen.sources, decodeIdentity(gen.sources, index)))) return index;
+  }
+  return undefined;
+}
+
+/**
+ * Pick a free identity of the given gender (so that weighted genders keep their ratio).
+ * @param {object} gen - Generation context.
+ * @param {string} gender - Gender.
+ * @returns {number|undefined} Free index, or undefined if all identities of the gender are used.
+ */
+function pickFreeIdentityOfGender(gen, gender) {
+  const { sources } = gen;
+  const s = sources.surnames.length;
+  let offset = 0;
+  for (const g of sources.genders) {
+    const size = sources.namesByGender[g].length * s;
+    if (g === gender) return pickFreeIdentity(gen, offset, size);
+    offset += size;
+  }
+  return undefined;
+}
+
+/**
+ * Count the distinct written name+surname pairs over all genders (the capacity of unique-names mode).
+ * Genders with the same surname forms share pairs where their name pools overlap.
+ * @param {object} sources - Generation sources.
+ * @returns {number} Number of pairs.
+ */
+function countNamePairs(sources) {
+  const namesByForms = new Map();
+  for (const g of sources.genders) {
+    const forms = surnameForms(sources, g);
+    if (!namesByForms.has(forms)) namesByForms.set(forms, new Set());
+    for (const name of sources.namesByGender[g]) namesByForms.get(forms).add(name);
+  }
+  const allNames = new Set([...namesByForms.values()].flatMap((names) => [...names]));
+
+  // Name pools written with each surname; a surname shared by both forms takes every name.
+  const poolsBySurname = new Map();
+  for (const [forms, names] of namesByForms) {
+    for (const surname of forms) poolsBySurname.set(surname, new Set([...(poolsBySurname.get(surname) ?? []), names]));
+  }
+  return sum([...poolsBySurname.values()].map((pools) => (pools.size === 1 ? [...pools][0].size : allNames.size)));
+}
+
+/**
+ * Count all distinct (gender, name, surname) combinations.
+ * @param {object} sources - Generation sources.
+ * @returns {number} Number of combinations.
+ */
+function countIdentities(sources) {
+  return sum(sources.genders.map((g) => sources.namesByGender[g].length)) * sources.surnames.length;
+}
+
+/**
+ * Decode index in the flattened identity space (names of each gender in sources.genders order).
+ * @param {object} sources - Generation sources.
+ * @param {number} index - Index in [0, countIdentities).
+ * @returns {{gender:string,name:string,surnameIndex:number}} identity - Decoded identity.
+ */
+function decodeIdentity(sources, index) {
+  const s = sources.surnames.length;
+  let local = index;
+  for (const gender of sources.genders) {
+    const names = sources.namesByGender[gender];
+    if (local < names.length * s) {
+      return { gender, name: names[Math.floor(local / s)], surnameIndex: local % s };
+    }
+    local -= names.length * s;
+  }
+  throw new RangeError(`Identity index ${index} is out of range.`);
+}
+
+/**
+ * Get surname in the form matching gender (female form if the dictionary has one).
+ * @param {object} sources - Generation sources.
+ * @param {number} index - Surname index.
+ * @param {string} gender - Gender of the employee.
+ * @returns {string} Surname.
+ */
+function surnameForm(sources, index, gender) {
+  return surnameForms(sources, gender)[index];
+}
+
+/**
+ * Get the surname list in the form matching gender.
+ * @param {object} sources - Generation sources.
+ * @param {string} gender - Gender.
+ * @returns {string[]} Surnames.
+ */
+function surnameForms(sources, gender) {
+  return gender === "female" && sources.femaleSurnames ? sources.femaleSurnames : sources.surnames;
+}
+
+/**
+ * Sample a birth timestamp within the generation age range.
+ * Uniform over the range unless an age distribution is configured.
+ * With a date birthdate format the timestamp is truncated to its day.
+ * @param {object} gen - Generation context.
+ * @param {((rng: () => number) => number)|null} sampleAge - Age sampler (null = uniform).
+ * @returns {number} Birth timestamp in milliseconds.
+ */
+function sampleBirthMs(gen, sampleAge) {
+  const { oldest, youngest } = gen.birthRange;
+  const ms = sampleAge
+    ? clamp(Math.floor(gen.now - sampleAge(gen.rng) * MS_PER_YEAR), oldest, youngest)
+    : randomInt(oldest, youngest, gen.rng);
+  return gen.birthStep === 1 ? ms : startOfUtcDay(ms);
+}
+
+/**
+ * Pick a birth timestamp within the generation age range (see sampleBirthMs).
+ * In unique-birthdates mode, an already used timestamp is sampled again a few times, so the age distribution
+ * keeps its shape; only then it moves to the next free millisecond (or day, see claimBirthMs).
+ * @param {object} gen - Generation context.
+ * @param {((rng: () => number) => number)|null} [sampleAge] - Age sampler (null = uniform).
+ * @returns {number} Birth timestamp in milliseconds.
+ */
+function pickBirthMs(gen, sampleAge = gen.sampleAge) {
+  let ms = sampleBirthMs(gen, sampleAge);
+  if (!gen.usedBirthdates) return ms;
+
+  for (let i = 0; i < UNIQUE_BIRTH_RESAMPLES && gen.usedBirthdates.has(ms); i++) ms = sampleBirthMs(gen, sampleAge);
+  return claimBirthMs(gen, ms);
+}
+
+/**
+ * Mark the first free birth timestamp from ms on as used (wrapping to the oldest one) and return it.
+ * usedBirthdates maps every used timestamp to a later candidate, and the followed chain is shortened
+ * to the result, so runs of used timestamps are skipped in nearly constant time.
+ * @param {object} gen - Generation context.
+ * @param {number} ms - Sampled birth timestamp.
+ * @returns {number} Free birth timestamp, now used.
+ */
+function claimBirthMs(gen, ms) {
+  const { oldest, youngest } = gen.birthRange;
+  const used = gen.usedBirthdates;
+  const chain = [];
+  let free = ms;
+  while (used.has(free)) {
+    chain.push(free);
+    free = used.get(free);
+  }
+  for (const step of chain) used.set(step, free);
+  used.set(free, free + gen.birthStep > youngest ? oldest : free + gen.birthStep);
+  return free;
+}
+
+/**
+ * Check that the requested count fits the birth range and the uniqueness constraints.
+ * @param {number} count - Requested employee count.
+ * @param {object} gen - Generation context.
  * @returns {void}
+ * @throws {RangeError} If there are fewer distinct values than requested employees.
  */
-function ensureSurnameCoverage(employees, surnames) {
-  if (employees.length < surnames.length) return;
+function assertUniqueCapacity(count, gen) {
+  const { oldest, youngest } = gen.birthRange;
+  const birthCapacity = Math.max(0, Math.floor((youngest - oldest) / gen.birthStep) + 1);
+  if (gen.usedBirthdates && count > birthCapacity) {
+    throw new RangeError(
+      `Cannot generate ${count} employees with unique birthdates: age range ${gen.minAge}-${gen.maxAge} allows only ${birthCapacity} distinct values.`
+    );
+  }
+  if (count > 0 && birthCapacity === 0) {
+    const { bornAfter, bornBefore } = describeAgeRange(gen);
+    throw new RangeError(`Cannot generate ${count} employees: no birthdate lies after ${bornAfter} and before ${bornBefore}.`);
+  }
+
+  const identityCapacity = gen.usedIdentities ? countNamePairs(gen.sources) : Infinity;
+  if (count > identityCapacity) {
+    throw new RangeError(
+      `Cannot generate ${count} employees with unique names: only ${identityCapacity} name+surname combinations are available.`
+    );
+  }
+}
+
+/**
+ * Create the state that makes every surname from the source list appear at least once,
+ * if there are enough employees. Its size depends on the surname count only.
+ * @param {number} count - Employee count.
+ * @param {number} surnameCount - Number of surnames in the source list.
+ * @returns {{remaining: number, missing: Set<number>}|null} Coverage state, or null if count is too small.
+ */
+function createSurnameCoverage(count, surnameCount) {
+  if (count < surnameCount) return null;
+  return { remaining: count, missing: new Set(Array.from({ length: surnameCount }, (_, i) => i)) };
+}
+
+/**
+ * Get the surname the next employee must have: once only as many employees remain as surnames
+ * are missing, each of them takes one missing surname (in either its male or female form).
+ * @param {object|null} coverage - Coverage state.
+ * @returns {number|undefined} Surname index, or undefined if the surname is free to pick.
+ */
+function nextMissingSurname(coverage) {
+  if (!coverage || coverage.missing.size < coverage.remaining) return undefined;
+  return coverage.missing.values().next().value;
+}
 
-  const used = new Set(employees.map((e) => e.surname));
-  const missing = surnames.filter((s) => !used.has(s));
-  for (let i = 0; i < missing.length; i++) employees[i].surname = missing[i];
+/**
+ * Record the surname of a generated employee.
+ * @param {object|null} coverage - Coverage state.
+ * @param {number} surnameIndex - Used surname.
+ * @returns {void}
+ */
+function markSurnameCovered(coverage, surnameIndex) {
+  if (!coverage) return;
+  coverage.remaining--;
+  coverage.missing.delete(surnameIndex);
 }
 
 /**
  * Get random integer in range [min, max].
  * @param {number} min - Minimum integer (inclusive).
  * @param {number} max - Maximum integer (inclusive).
+ * @param {() => number} [rng] - Random source returning floats in [0, 1).
  * @returns {number} Random integer.
  */
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function randomInt(min, max, rng = Math.random) {
+  return Math.floor(rng() * (max - min + 1)) + min;
 }
 
 /**
  * Pick a random element from array.
  * @template T
  * @param {T[]} arr - Source array.
+ * @param {() => number} [rng] - Random source.
  * @returns {T} Random element.
  */
-function randomElement(arr) {
-  return arr[randomInt(0, arr.length - 1)];
+function randomElement(arr, rng = Math.random) {
+  return arr[randomInt(0, arr.length - 1, rng)];
 }
 
 /**
- * Sum all numbers in array.
- * @param {number[]} arr - Numbers.
- * @returns {number} Sum.
+ * Clamp number into [min, max].
+ * @param {number} n - Input number.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number} Clamped number.
  */
-function sum(arr) {
-  return arr.reduce((a, b) => a + b, 0);
+function clamp(n, min, max) {
+  return Math.min(Math.max(n, min), max);
 }
 
 /**
- * Compute median from sorted numeric array.
- * @param {number[]} sortedNums - Sorted array.
- * @returns {number} Median value (0 if empty).
+ * Create empty aggregation context.
+ * @param {string|null} [agePolicy] - Age policy the collected ages follow (see resolveAgePolicy).
+ * @returns {object} ctx - Aggregation context.
  */
-function getMedianFromSorted(sortedNums) {
-  const n = sortedNums.length;
-  if (n === 0) return 0;
-  const mid = Math.floor(n / 2);
-  return n % 2 === 1 ? sortedNums[mid] : (sortedNums[mid - 1] + sortedNums[mid]) / 2;
+function createAggregation(agePolicy = null) {
+  return { counts: new Map(), ages: [], workloads: [], womenWorkloadSum: 0, womenCount: 0, compensation: null, agePolicy };
+}
+
+/**
+ * Add one employee to an aggregation context.
+ * @param {object} ctx - Aggregation context.
+ * @param {Employee} e - Employee.
+ * @param {number} w - Workload of the employee.
+ * @param {number} age - Age of the employee (under the age policy).
+ * @param {object|null} [pay] - Compensation of the employee (with the compensation option).
+ * @returns {void}
+ */
+function aggregateOne(ctx, e, w, age, pay = null) {
+  if (Number.isFinite(w)) ctx.counts.set(w, (ctx.counts.get(w) ?? 0) + 1);
+
+  ctx.workloads.push(w);
+  ctx.ages.push(age);
+
+  if (e.gender === "female") {
+    ctx.womenCount += 1;
+    ctx.womenWorkloadSum += w;
+  }
+
+  if (pay) {
+    ctx.compensation ??= createCompensationTotals();
+    addCompensation(ctx.compensation, pay, age, w);
+  }
 }
 
 /**
  * Collect counts and arrays needed to compute statistics in a single pass.
+ * Per-gender contexts, and with a group key function per-group contexts, are collected in the same pass.
  * @param {Employee[]} employees - Employees.
- * @returns {object} ctx - Aggregation context.
+ * @param {number} now - Reference time for age calculation.
+ * @param {((e: Employee, age: number) => any)|null} [groupKey] - Group key function.
+ * @param {object|null} [model] - Compensation model.
+ * @param {string|null} [agePolicy] - Age policy applied to every age (see resolveAgePolicy).
+ * @returns {object} ctx - Aggregation context (with `genders` map, `groups` map when grouping, and the compensation `model`).
  */
-function countWorkloadsAndCollect(employees) {
-  const counts = { 10: 0, 20: 0, 30: 0, 40: 0 };
-  const ages = [];
-  const workloads = [];
-  let womenWorkloadSum = 0;
-  let womenCount = 0;
+function countWorkloadsAndCollect(employees, now, groupKey = null, model = null, agePolicy = null) {
+  const ctx = createAggregation(agePolicy);
+  const genders = new Map();
+  const groups = groupKey ? new Map() : null;
 
   for (const e of employees) {
     const w = Number(e.workload);
-    if (counts[w] !== undefined) counts[w] += 1;
+    const age = applyAgePolicy(calculateAge(e.birthdate, now), agePolicy);
+    const pay = model ? employeeCompensation(e, age, model, now) : null;
+    aggregateOne(ctx, e, w, age, pay);
 
-    workloads.push(w);
-    ages.push(calculateAge(e.birthdate));
+    const gender = String(e.gender);
+    if (!genders.has(gender)) genders.set(gender, createAggregation(agePolicy));
+    aggregateOne(genders.get(gender), e, w, age, pay);
 
-    if (e.gender === "female") {
-      womenCount += 1;
-      womenWorkloadSum += w;
+    if (groups) {
+      const key = String(groupKey(e, age));
+      if (!groups.has(key)) groups.set(key, createAggregation(agePolicy));
+      aggregateOne(groups.get(key), e, w, age, pay);
     }
   }
 
-  return { counts, ages, workloads, womenWorkloadSum, womenCount };
+  ctx.genders = genders;
+  ctx.groups = groups;
+  ctx.model = model;
+  return ctx;
+}
+
+/**
+ * Compute age statistics. With an age policy, every statistic is computed from the ages under the policy
+ * and rounded to 1 decimal place; without one, the average is decimal and min/max/median are truncated.
+ * @param {number[]} ages - Ages (decimal, or under the age policy).
+ * @param {string|null} [agePolicy] - Age policy of the ages.
+ * @returns {{averageAge:number,minAge:number,maxAge:number,medianAge:number}} Age statistics.
+ */
+function computeAgeStats(ages, agePolicy = null) {
+  const n = ages.length;
+  if (n === 0) return roundAgeStats(null, agePolicy);
+
+  const agesSorted = [...ages].sort((a, b) => a - b);
+  const median = getMedianFromSorted(agesSorted);
+  return roundAgeStats({ average: sum(ages) / n, min: agesSorted[0], max: agesSorted[n - 1], median }, agePolicy);
+}
+
+/**
+ * Compute statistics block of one group.
+ * @param {object} ctx - Aggregation context of the group.
+ * @returns {object} statistics - Count, age statistics, workload statistics
+ * (and FTE, payroll cost and average cost with the compensation option).
+ */
+function computeGroupStats(ctx) {
+  const n = ctx.workloads.length;
+  const workloadsSorted = [...ctx.workloads].sort((a, b) => a - b);
+
+  return {
+    count: n,
+    ...computeAgeStats(ctx.ages, ctx.agePolicy),
+    workloadCounts: buildWorkloadCounts(ctx.counts),
+    averageWorkload: n ? round1(sum(ctx.workloads) / n) : 0,
+    medianWorkload: n ? Math.round(getMedianFromSorted(workloadsSorted)) : 0,
+    ...(ctx.compensation ? summarizeGroupCompensation(ctx.compensation) : {}),
+  };
+}
+
+/**
+ * Compute statistics of every group, ordered by group key.
+ * @param {Map<string, object>} groups - Aggregation context per group.
+ * @returns {Record<string, object>} groups - Statistics block per group.
+ */
+function computeGroupsStats(groups) {
+  const out = {};
+  const keys = [...groups.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  for (const key of keys) out[key] = computeGroupStats(groups.get(key));
+  return out;
+}
+
+/**
+ * Compute descriptive statistics of ages (bucketed by whole years) and workloads.
+ * @param {object} ctx - Aggregation context.
+ * @param {boolean|object} spec - descriptive option.
+ * @returns {{ageStatistics:object,workloadStatistics:object}} Descriptive statistics.
+ */
+function computeDescriptiveStats(ctx, spec) {
+  const box = typeof spec === "object" && spec !== null ? spec : {};
+  const percentiles = Array.isArray(box.percentiles) ? box.percentiles.filter(isPercentile) : [];
+  const ageBins = isValidBands(box.ageBins) ? box.ageBins : undefined;
+  const workloadBins = isValidBands(box.workloadBins) ? box.workloadBins : undefined;
+
+  return {
+    ageStatistics: describe(ctx.ages, { percentiles, bins: ageBins, bucket: Math.floor }),
+    workloadStatistics: describe(ctx.workloads, { percentiles, bins: workloadBins }),
+  };
 }
 
 /**
@@ -310,16 +1027,9 @@ function countWorkloadsAndCollect(employees) {
 function computeStats(employees, ctx) {
   const n = employees.length;
 
-  const agesSorted = [...ctx.ages].sort((a, b) => a - b);
-  const intAgesSorted = agesSorted.map((a) => Math.floor(a));
-
   const workloadsSorted = [...ctx.workloads].sort((a, b) => a - b);
 
-  const averageAge = n ? Number((sum(ctx.ages) / n).toFixed(1)) : 0;
-
-  const minAge = n ? intAgesSorted[0] : 0;
-  const maxAge = n ? intAgesSorted[intAgesSorted.length - 1] : 0;
-  const medianAge = n ? Math.floor(getMedianFromSorted(agesSorted)) : 0;
+  const { averageAge, minAge, maxAge, medianAge } = computeAgeStats(ctx.ages, ctx.agePolicy);
 
   const medianWorkload = n ? Math.round(getMedianFromSorted(workloadsSorted)) : 0;
 
@@ -331,62 +1041,178 @@ function computeStats(employees, ctx) {
 
   return {
     employeeCount: n,
-    workload10: ctx.counts[10],
-    workload20: ctx.counts[20],
-    workload30: ctx.counts[30],
-    workload40: ctx.counts[40],
+    workload10: ctx.counts.get(10) ?? 0,
+    workload20: ctx.counts.get(20) ?? 0,
+    workload30: ctx.counts.get(30) ?? 0,
+    workload40: ctx.counts.get(40) ?? 0,
+    workloadCounts: buildWorkloadCounts(ctx.counts),
     averageAge,
     minAge,
     maxAge,
     medianAge,
     medianWorkload,
     averageWorkloadWomen,
+    genders: computeGroupsStats(ctx.genders),
     employeesSortedByWorkload,
   };
 }
 
 /**
- * Compute required statistics and return dtoOut.
- * Includes "alias properties" needed by tests.
+ * Compute required statistics and return dtoOut (options are listed in the module docs).
  * @param {Employee[]} employees - Generated employees.
+ * @param {object} [options] - asOf, agePolicy, outputSchema, groupBy, descriptive, sort, filter, hierarchy,
+ * compensation, validation.
  * @returns {object} dtoOut - Output with employees and statistics.
+ * @throws {ValidationError} In strict mode, if an option is invalid.
  */
-function getEmployeeStatistics(employees) {
-  const safeEmployees = Array.isArray(employees) ? employees : [];
-  const ctx = countWorkloadsAndCollect(safeEmployees);
+function getEmployeeStatistics(employees, options = {}) {
+  const safeOptions = options ?? {};
+  if (safeOptions.validation === "strict") validateStatisticsOptions(safeOptions);
+  const now = toTimestamp(safeOptions.asOf) ?? Date.now();
+  const safeEmployees = selectEmployees(employees, safeOptions.filter, now);
+  const groupKey = safeOptions.groupBy === undefined ? null : resolveGroupKey(safeOptions.groupBy);
+  const model = safeOptions.compensation === undefined ? null : normalizeCompensation(safeOptions.compensation);
+  const ctx = countWorkloadsAndCollect(safeEmployees, now, groupKey, model, resolveAgePolicy(safeOptions.agePolicy));
   const statistics = computeStats(safeEmployees, ctx);
-  const total = statistics.employeeCount;
 
-  return {
-    employees: safeEmployees,
-    ...statistics,
-    total,
+  return formatOutput(safeOptions.outputSchema, statistics, safeEmployees, computeExtras(safeEmployees, ctx, safeOptions, now));
+}
 
-    ...buildWomenWorkloadAliases(statistics.averageWorkloadWomen),
-    ...buildSortedAliases(statistics.employeesSortedByWorkload),
+/**
+ * Get employees the statistics are computed over.
+ * @param {any} employees - Input employees.
+ * @param {any} filter - Optional query.
+ * @param {number} now - Reference time for ages.
+ * @returns {Employee[]} employees - All employees, or the ones matching a valid filter.
+ */
+function selectEmployees(employees, filter, now) {
+  const list = Array.isArray(employees) ? employees : [];
+  if (filter === undefined) return list;
+  try {
+    return filterEmployees(list, filter, { asOf: now, path: "filter" });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    return list;
+  }
+}
 
-    statistics: {
-      employeeCount: statistics.employeeCount,
-      total,
+/**
+ * Compute optional metrics requested through getEmployeeStatistics options.
+ * @param {Employee[]} employees - Employees.
+ * @param {object} ctx - Aggregation context.
+ * @param {object} options - getEmployeeStatistics options.
+ * @param {number} now - Reference time for ages.
+ * @returns {object} extras - Additional output keys.
+ */
+function computeExtras(employees, ctx, options, now) {
+  const extras = {};
+  if (ctx.groups) extras.groups = computeGroupsStats(ctx.groups);
+  if (options.descriptive) Object.assign(extras, computeDescriptiveStats(ctx, options.descriptive));
 
-      workload10: statistics.workload10,
-      workload20: statistics.workload20,
-      workload30: statistics.workload30,
-      workload40: statistics.workload40,
+  const sortSpec = options.sort === undefined ? null : normalizeSortSpec(options.sort);
+  if (sortSpec) extras.sortedEmployees = sortEmployees(employees, sortSpec);
+  if (options.hierarchy === true) extras.departments = computeHierarchyStats(employees, now, ctx);
+  if (ctx.model) extras.compensation = summarizeCompensation(ctx.compensation ?? createCompensationTotals(), ctx.model);
+  return extras;
+}
 
-      averageAge: statistics.averageAge,
-      minAge: statistics.minAge,
-      maxAge: statistics.maxAge,
-      medianAge: statistics.medianAge,
-      medianWorkload: statistics.medianWorkload,
+/**
+ * Aggregate employees into a tree of departments and teams; every unit aggregates all employees below it.
+ * Employees without a department are left out.
+ * @param {Employee[]} employees - Employees.
+ * @param {number} now - Reference time for ages.
+ * @param {object} ctx - Aggregation context of all employees (compensation model and age policy).
+ * @returns {Record<string, object>} departments - Statistics block per department (see buildHierarchyStats).
+ */
+function computeHierarchyStats(employees, now, ctx) {
+  const { model, agePolicy } = ctx;
+  const root = new Map();
+  for (const e of employees) {
+    if (typeof e.department !== "string") continue;
+    const w = Number(e.workload);
+    const age = applyAgePolicy(calculateAge(e.birthdate, now), agePolicy);
+    const teams = typeof e.team === "string" && e.team !== "" ? e.team.split(TEAM_SEPARATOR) : [];
+    const pay = model ? employeeCompensation(e, age, model, now) : null;
+
+    let level = root;
+    let node = null;
+    for (const name of [e.department, ...teams]) {
+      if (!level.has(name)) level.set(name, { ctx: createAggregation(agePolicy), children: new Map(), manager: null });
+      node = level.get(name);
+      aggregateOne(node.ctx, e, w, age, pay);
+      level = node.children;
+    }
+    if (e.isManager === true) node.manager = `${e.name} ${e.surname}`;
+  }
+  return buildHierarchyStats(root);
+}
 
-      ...buildWomenWorkloadAliases(statistics.averageWorkloadWomen),
-      ...buildSortedAliases(statistics.employeesSortedByWorkload),
+/**
+ * Compute statistics of every unit on one level of the org tree, ordered by name.
+ * @param {Map<string, object>} level - Units by name.
+ * @returns {Record<string, object>} Statistics block, `manager` and nested `teams` per unit.
+ */
+function buildHierarchyStats(level) {
+  const out = {};
+  for (const name of [...level.keys()].sort((a, b) => a.localeCompare(b))) {
+    const node = level.get(name);
+    out[name] = { ...computeGroupStats(node.ctx), manager: node.manager };
+    if (node.children.size > 0) out[name].teams = buildHierarchyStats(node.children);
+  }
+  return out;
+}
 
-      employeeList: safeEmployees,
-    },
+/**
+ * Compare two employee lists (e.g. last month's and this month's roster).
+ * The report is plain JSON; formatDiffText renders it as human-readable text.
+ * @param {Employee[]} before - Previous employees.
+ * @param {Employee[]} after - Current employees.
+ * @param {object} [options] - Optional settings.
+ * @param {any} [options.key] - Identity of an employee: a field name, a list of field names or a function
+ * (employee) => key (default: id when every employee has one, otherwise name, surname and birthdate).
+ * Employees sharing a key are matched in list order.
+ * @param {string|number|Date} [options.asOf] - Reference date for the age statistics of both lists (default: now).
+ * @param {"exact"|"truncated"|"rounded"} [options.agePolicy] - Age policy of the age statistics (see getEmployeeStatistics).
+ * @returns {object} report - { added, removed, changed: [{ key, before, after, changes }], unchanged,
+ * statistics: { metric: { before, after, delta } } } covering every metric of the v2 output.
+ * @throws {ValidationError} If options.key is invalid.
+ */
+function diffEmployees(before, after, options = {}) {
+  const safeOptions = options ?? {};
+  const statisticsOptions = { asOf: toTimestamp(safeOptions.asOf) ?? Date.now(), agePolicy: safeOptions.agePolicy, outputSchema: "v2" };
+  const previous = Array.isArray(before) ? before : [];
+  const current = Array.isArray(after) ? after : [];
+
+  return {
+    ...diffEmployeeLists(previous, current, safeOptions.key),
+    statistics: diffStatistics(
+      getEmployeeStatistics(previous, statisticsOptions),
+      getEmployeeStatistics(current, statisticsOptions)
+    ),
   };
 }
 
-export { main, generateEmployeeData, getEmployeeStatistics };
+export {
+  main,
+  generateEmployeeData,
+  generateEmployees,
+  getAgeRange,
+  getEmployeeStatistics,
+  createStatisticsAccumulator,
+  diffEmployees,
+  formatDiffText,
+  getOutputJsonSchema,
+  validateDtoIn,
+  ValidationError,
+  compileQuery,
+  filterEmployees,
+  and,
+  or,
+  not,
+  employeesToCsv,
+  statisticsToCsv,
+  parseEmployeesCsv,
+  createEmployeeStream,
+  writeEmployees,
+};
 export default main;
@@ -0,0 +1,319 @@
+/**
+ * Incremental statistics: an accumulator that is updated employee by employee and
+ * returns the same core statistics as getEmployeeStatistics at any time.
+ * Birth timestamps and employees by workload are kept in sorted lists, so medians and the list
+ * sorted by workload never need a full re-sort.
+ * The median workload comes from the count per workload value.
+ * Calendar ages depend on the birth day only, so the average age is computed from a count per birth day.
+ */
+
+import { ValidationError } from "./errors.js";
+import { checkEmployee } from "./validation.js";
+import { MS_PER_DAY, exactAge, birthDayOf, resolveAgePolicy, applyAgePolicy, toTimestamp } from "./dates.js";
+import { formatOutput } from "./output.js";
+import { round1, getMedianFromSorted, buildWorkloadCounts, roundAgeStats } from "./statistics.js";
+import { createSortedList } from "./sortedList.js";
+
+/**
+ * Key of an employee by value (used to remove employees equal to an added one).
+ * @param {object} e - Employee.
+ * @returns {string} Key.
+ */
+function employeeKey(e) {
+  return JSON.stringify([e.name, e.surname, e.gender, e.birthdate, Number(e.workload)]);
+}
+
+/**
+ * Throw if the employee cannot be aggregated.
+ * @param {any} e - Employee.
+ * @returns {void}
+ * @throws {ValidationError} If the employee is invalid.
+ */
+function assertEmployee(e) {
+  const issues = checkEmployee(e, "employee");
+  if (issues.length > 0) throw new ValidationError(issues);
+}
+
+/**
+ * Create empty age and workload aggregates (of the whole roster or of one gender).
+ * @returns {object} Tally.
+ */
+function createTally() {
+  return {
+    births: createSortedList(),
+    counts: new Map(),
+    birthDays: new Map(), // birth day (days since 1970-01-01) -> count
+    workloadSum: 0,
+  };
+}
+
+/**
+ * Add one employee to a tally.
+ * @param {object} tally - Tally.
+ * @param {number} w - Workload.
+ * @param {number} birthMs - Birth day (timestamp of 00:00 UTC, see birthDayOf).
+ * @returns {void}
+ */
+function addToTally(tally, w, birthMs) {
+  tally.births.add(birthMs);
+  tally.counts.set(w, (tally.counts.get(w) ?? 0) + 1);
+  const day = Math.floor(birthMs / MS_PER_DAY);
+  tally.birthDays.set(day, (tally.birthDays.get(day) ?? 0) + 1);
+  tally.workloadSum += w;
+}
+
+/**
+ * Remove one employee from a tally.
+ * @param {object} tally - Tally.
+ * @param {number} w - Workload.
+ * @param {number} birthMs - Birth day (timestamp of 00:00 UTC, see birthDayOf).
+ * @returns {void}
+ */
+function removeFromTally(tally, w, birthMs) {
+  tally.births.remove(birthMs);
+  if (tally.counts.get(w) === 1) tally.counts.delete(w);
+  else tally.counts.set(w, tally.counts.get(w) - 1);
+  const day = Math.floor(birthMs / MS_PER_DAY);
+  if (tally.birthDays.get(day) === 1) tally.birthDays.delete(day);
+  else tally.birthDays.set(day, tally.birthDays.get(day) - 1);
+  tally.workloadSum -= w;
+}
+
+/**
+ * Create empty accumulator state.
+ * @returns {object} State.
+ */
+function createState() {
+  return {
+    seq: 0,
+    entries: new Map(), // seq -> employee, in roster order
+    seqsByKey: new Map(), // employeeKey -> seq[]
+    byWorkload: createSortedList((a, b) => a.workload - b.workload || a.seq - b.seq),
+    ...createTally(),
+    genders: new Map(), // gender -> tally
+    womenCount: 0,
+    womenWorkloadSum: 0,
+  };
+}
+
+/**
+ * Add employee to all aggregates under the given roster position.
+ * @param {object} state - Accumulator state.
+ * @param {object} e - Employee.
+ * @param {number} seq - Roster position.
+ * @returns {void}
+ */
+function insertEntry(state, e, seq) {
+  const w = Number(e.workload);
+  const birthMs = birthDayOf(e.birthdate);
+  const key = employeeKey(e);
+
+  state.entries.set(seq, e);
+  state.seqsByKey.set(key, [...(state.seqsByKey.get(key) ?? []), seq]);
+  state.byWorkload.add({ workload: w, seq });
+  addToTally(state, w, birthMs);
+  const gender = String(e.gender);
+  if (!state.genders.has(gender)) state.genders.set(gender, createTally());
+  addToTally(state.genders.get(gender), w, birthMs);
+  if (e.gender === "female") {
+    state.womenCount++;
+    state.womenWorkloadSum += w;
+  }
+}
+
+/**
+ * Find roster position of an added employee (the same object first, otherwise an equal one).
+ * @param {object} state - Accumulator state.
+ * @param {object} e - Employee.
+ * @returns {number|undefined} Roster position.
+ */
+function findEntry(state, e) {
+  if (e === null || typeof e !== "object") return undefined;
+  const seqs = state.seqsByKey.get(employeeKey(e));
+  if (!seqs) return undefined;
+  return seqs.find((seq) => state.entries.get(seq) === e) ?? seqs.at(-1);
+}
+
+/**
+ * Remove employee at the given roster position from all aggregates.
+ * @param {object} state - Accumulator state.
+ * @param {number} seq - Roster position.
+ * @param {boolean} [keepSlot] - Keep the roster position for a replacement (see update).
+ * @returns {void}
+ */
+function deleteEntry(state, seq, keepSlot = false) {
+  const e = state.entries.get(seq);
+  const w = Number(e.workload);
+  const birthMs = birthDayOf(e.birthdate);
+  const key = employeeKey(e);
+
+  if (!keepSlot) state.entries.delete(seq);
+  const seqs = state.seqsByKey.get(key).filter((s) => s !== seq);
+  if (seqs.length > 0) state.seqsByKey.set(key, seqs);
+  else state.seqsByKey.delete(key);
+
+  state.byWorkload.remove({ workload: w, seq });
+  removeFromTally(state, w, birthMs);
+  const tally = state.genders.get(String(e.gender));
+  removeFromTally(tally, w, birthMs);
+  if (tally.births.size === 0) state.genders.delete(String(e.gender));
+  if (e.gender === "female") {
+    state.womenCount--;
+    state.womenWorkloadSum -= w;
+  }
+}
+
+/**
+ * Get the middle item(s) of a sorted list.
+ * @param {object} list - Sorted list.
+ * @returns {any[]} One or two middle items (empty for an empty list).
+ */
+function middleItems(list) {
+  const n = list.size;
+  if (n === 0) return [];
+  const mid = Math.floor(n / 2);
+  return n % 2 === 1 ? [list.at(mid)] : [list.at(mid - 1), list.at(mid)];
+}
+
+/**
+ * Compute the median workload from the count per workload value (rounded like getEmployeeStatistics).
+ * @param {object} tally - Non-empty tally.
+ * @returns {number} Median workload.
+ */
+function medianWorkload(tally) {
+  const n = tally.births.size;
+  const wanted = n % 2 === 1 ? [(n - 1) / 2] : [n / 2 - 1, n / 2];
+  const middle = [];
+  let seen = 0;
+  for (const w of [...tally.counts.keys()].sort((a, b) => a - b)) {
+    seen += tally.counts.get(w);
+    while (middle.length < wanted.length && wanted[middle.length] < seen) middle.push(w);
+  }
+  return Math.round(getMedianFromSorted(middle));
+}
+
+/**
+ * Compute age statistics from sorted birth timestamps (rounded by roundAgeStats, like getEmployeeStatistics).
+ * @param {object} state - Accumulator state or tally.
+ * @param {number} now - Reference time.
+ * @param {string|null} agePolicy - Age policy (see resolveAgePolicy).
+ * @returns {{averageAge:number,minAge:number,maxAge:number,medianAge:number}} Age statistics.
+ */
+function computeAgeStats(state, now, agePolicy) {
+  const n = state.births.size;
+  if (n === 0) return roundAgeStats(null, agePolicy);
+
+  const toAge = (birthMs) => applyAgePolicy(exactAge(birthMs, now), agePolicy);
+  let ageSum = 0;
+  for (const [day, count] of state.birthDays) ageSum += count * toAge(day * MS_PER_DAY);
+  // Ages ascend as birth timestamps descend.
+  const middleAges = middleItems(state.births).map(toAge).reverse();
+  const median = getMedianFromSorted(middleAges);
+  return roundAgeStats({ average: ageSum / n, min: toAge(state.births.last()), max: toAge(state.births.first()), median }, agePolicy);
+}
+
+/**
+ * Compute the statistics block of every gender, ordered by gender (same shape as a getEmployeeStatistics group).
+ * @param {object} state - Accumulator state.
+ * @param {number} now - Reference time.
+ * @param {string|null} agePolicy - Age policy.
+ * @returns {Record<string, object>} Statistics block per gender.
+ */
+function computeGenderStats(state, now, agePolicy) {
+  const out = {};
+  const keys = [...state.genders.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  for (const gender of keys) {
+    const tally = state.genders.get(gender);
+    const n = tally.births.size;
+    out[gender] = {
+      count: n,
+      ...computeAgeStats(tally, now, agePolicy),
+      workloadCounts: buildWorkloadCounts(tally.counts),
+      averageWorkload: round1(tally.workloadSum / n),
+      medianWorkload: medianWorkload(tally),
+    };
+  }
+  return out;
+}
+
+/**
+ * Compute core statistics (the shape getEmployeeStatistics passes to formatOutput).
+ * @param {object} state - Accumulator state.
+ * @param {number} now - Reference time.
+ * @param {string|null} agePolicy - Age policy.
+ * @returns {object} statistics - Core statistics.
+ */
+function computeStats(state, now, agePolicy) {
+  const n = state.entries.size;
+
+  return {
+    employeeCount: n,
+    workload10: state.counts.get(10) ?? 0,
+    workload20: state.counts.get(20) ?? 0,
+    workload30: state.counts.get(30) ?? 0,
+    workload40: state.counts.get(40) ?? 0,
+    workloadCounts: buildWorkloadCounts(state.counts),
+    ...computeAgeStats(state, now, agePolicy),
+    medianWorkload: n ? medianWorkload(state) : 0,
+    averageWorkloadWomen: state.womenCount ? round1(state.womenWorkloadSum / state.womenCount) : 0,
+    genders: computeGenderStats(state, now, agePolicy),
+    employeesSortedByWorkload: Array.from(state.byWorkload, ({ seq }) => state.entries.get(seq)),
+  };
+}
+
+/**
+ * Create a statistics accumulator.
+ * getStatistics() returns the same output as getEmployeeStatistics(employees, { asOf, agePolicy, outputSchema })
+ * for the current roster; groupBy, descriptive, sort and filter need getEmployeeStatistics(acc.employees()).
+ * remove() and update() find an employee by identity, or else by equal field values.
+ * @param {object[]} [employees] - Initial employees.
+ * @param {object} [options] - Default getStatistics options.
+ * @param {string|number|Date} [options.asOf] - Reference date for ages (default: now at each call).
+ * @param {"exact"|"truncated"|"rounded"} [options.agePolicy] - Age policy (see getEmployeeStatistics).
+ * @param {"compat"|"v2"} [options.outputSchema] - Output shape (default: "compat").
+ * @returns {object} Accumulator with add, remove, update, getStatistics, employees and size.
+ * @throws {ValidationError} If an initial employee is invalid.
+ */
+function createStatisticsAccumulator(employees = [], options = {}) {
+  const state = createState();
+  const defaults = options ?? {};
+
+  const accumulator = {
+    get size() {
+      return state.entries.size;
+    },
+    add(employee) {
+      assertEmployee(employee);
+      insertEntry(state, employee, state.seq++);
+      return accumulator;
+    },
+    remove(employee) {
+      const seq = findEntry(state, employee);
+      if (seq === undefined) return false;
+      deleteEntry(state, seq);
+      return true;
+    },
+    update(oldEmployee, newEmployee) {
+      assertEmployee(newEmployee);
+      const seq = findEntry(state, oldEmployee);
+      if (seq === undefined) return false;
+      // Keep the roster position, like replacing an item in the employee array.
+      deleteEntry(state, seq, true);
+      insertEntry(state, newEmployee, seq);
+      return true;
+    },
+    employees() {
+      return [...state.entries.values()];
+    },
+    getStatistics(overrides = {}) {
+      const { asOf, agePolicy, outputSchema } = { ...defaults, ...overrides };
+      const now = toTimestamp(asOf) ?? Date.now();
+      return formatOutput(outputSchema, computeStats(state, now, resolveAgePolicy(agePolicy)), accumulator.employees());
+    },
+  };
+
+  for (const e of employees) accumulator.add(e);
+  return accumulator;
+}
+
+export { createStatisticsAccumulator };
@@ -0,0 +1,159 @@
+/**
+ * Age distributions used to generate birthdates.
+ * Every sampler returns a decimal age in [minAge, maxAge).
+ */
+
+import { toCumulative, weightedIndex } from "./random.js";
+
+/**
+ * Supported distribution types.
+ */
+const AGE_DISTRIBUTION_TYPES = ["uniform", "normal", "triangular", "histogram"];
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz & Stegun 7.1.26, absolute error < 1.5e-7).
+ * @param {number} x - Value.
+ * @returns {number} P(Z <= x).
+ */
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation).
+ * @param {number} p - Probability in (0, 1).
+ * @returns {number} x such that P(Z <= x) = p.
+ */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? x : -x;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Keep a sampled age inside [minAge, maxAge).
+ * @param {number} age - Sampled age.
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive).
+ * @returns {number} Age within the range.
+ */
+function clampAge(age, minAge, maxAge) {
+  if (!(age >= minAge)) return minAge;
+  return age < maxAge ? age : minAge + (maxAge - minAge) * (1 - Number.EPSILON);
+}
+
+/**
+ * Create sampler of a normal distribution truncated to the age range (inverse CDF method).
+ * @param {object} spec - Distribution spec ({ mean, stddev }).
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive).
+ * @returns {(rng: () => number) => number} Age sampler.
+ */
+function createNormalSampler(spec, minAge, maxAge) {
+  const mean = Number.isFinite(spec.mean) ? spec.mean : (minAge + maxAge) / 2;
+  const stddev = Number.isFinite(spec.stddev) && spec.stddev > 0 ? spec.stddev : (maxAge - minAge) / 4 || 1;
+  const lo = normalCdf((minAge - mean) / stddev);
+  const hi = normalCdf((maxAge - mean) / stddev);
+
+  return (rng) => {
+    const p = lo + rng() * (hi - lo);
+    if (p <= 0 || p >= 1) return clampAge(p <= 0 ? minAge : maxAge, minAge, maxAge);
+    return clampAge(mean + stddev * normalQuantile(p), minAge, maxAge);
+  };
+}
+
+/**
+ * Create sampler of a triangular distribution over the age range.
+ * @param {object} spec - Distribution spec ({ mode }, default: middle of the range).
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive).
+ * @returns {(rng: () => number) => number} Age sampler.
+ */
+function createTriangularSampler(spec, minAge, maxAge) {
+  const width = maxAge - minAge;
+  const mode = Number.isFinite(spec.mode) ? Math.min(Math.max(spec.mode, minAge), maxAge) : (minAge + maxAge) / 2;
+  const split = width > 0 ? (mode - minAge) / width : 0;
+
+  return (rng) => {
+    const u = rng();
+    const age =
+      u < split
+        ? minAge + Math.sqrt(u * width * (mode - minAge))
+        : maxAge - Math.sqrt((1 - u) * width * (maxAge - mode));
+    return clampAge(age, minAge, maxAge);
+  };
+}
+
+/**
+ * Create sampler from an age-band histogram; bands are clipped to the age range.
+ * @param {object} spec - Distribution spec ({ bands: [{ min, max, weight }] }).
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive).
+ * @returns {((rng: () => number) => number)|null} Age sampler or null if no band overlaps the range.
+ */
+function createHistogramSampler(spec, minAge, maxAge) {
+  const bands = (Array.isArray(spec.bands) ? spec.bands : [])
+    .map((b) => ({ min: Math.max(b?.min, minAge), max: Math.min(b?.max, maxAge), weight: b?.weight ?? 1 }))
+    .filter((b) => b.max > b.min && Number.isFinite(b.weight) && b.weight > 0);
+  if (bands.length === 0) return null;
+
+  const cumulative = toCumulative(bands.map((b) => b.weight));
+  return (rng) => {
+    const band = bands[weightedIndex(cumulative, rng)];
+    return clampAge(band.min + rng() * (band.max - band.min), minAge, maxAge);
+  };
+}
+
+/**
+ * Resolve age sampler from dtoIn.ageDistribution.
+ * Accepts a type name ("normal") or an object ({ type: "normal", mean, stddev }).
+ * @param {any} spec - dtoIn.ageDistribution.
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive).
+ * @returns {((rng: () => number) => number)|null} Age sampler, or null for the uniform distribution.
+ */
+function resolveAgeSampler(spec, minAge, maxAge) {
+  const box = typeof spec === "string" ? { type: spec } : spec;
+  if (typeof box !== "object" || box === null || maxAge <= minAge) return null;
+
+  switch (box.type) {
+    case "normal":
+      return createNormalSampler(box, minAge, maxAge);
+    case "triangular":
+      return createTriangularSampler(box, minAge, maxAge);
+    case "histogram":
+      return createHistogramSampler(box, minAge, maxAge);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check dtoIn.ageDistribution (a known type; a histogram needs a usable band).
+ * @param {any} spec - Age distribution spec.
+ * @returns {boolean} True for a valid spec.
+ */
+function isValidAgeDistribution(spec) {
+  const type = typeof spec === "string" ? spec : spec?.type;
+  if (!AGE_DISTRIBUTION_TYPES.includes(type)) return false;
+  return type !== "histogram" || resolveAgeSampler(spec, 0, Number.MAX_SAFE_INTEGER) !== null;
+}
+
+export { AGE_DISTRIBUTION_TYPES, resolveAgeSampler, isValidAgeDistribution, normalCdf, normalQuantile };
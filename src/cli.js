@@ -0,0 +1,517 @@
+/**
+ * Command-line interface: `employees generate`, `employees stats <file>` and `employees diff <before> <after>`.
+ * run() takes its I/O as a parameter so it can be tested without a process.
+ */
+
+import { parseArgs } from "node:util";
+import { readFile, writeFile } from "node:fs/promises";
+import {
+  generateEmployeeData,
+  generateEmployees,
+  getAgeRange,
+  getEmployeeStatistics,
+  statisticsToCsv,
+  parseEmployeesCsv,
+  createEmployeeStream,
+  writeEmployees,
+  diffEmployees,
+  formatDiffText,
+} from "../main.js";
+import { ValidationError } from "./errors.js";
+import { validateEmployeeList, validateStatisticsOptions } from "./validation.js";
+
+/**
+ * Exit code for success.
+ */
+const EXIT_OK = 0;
+
+/**
+ * Exit code for invalid input (bad option values, unreadable or invalid employee file).
+ */
+const EXIT_INVALID_INPUT = 1;
+
+/**
+ * Exit code for wrong usage (unknown command or flag).
+ */
+const EXIT_USAGE = 2;
+
+/**
+ * Usage text.
+ */
+const USAGE = `Usage:
+  employees generate [options]      Generate employees and print them as JSON
+    --count <n>                     Number of employees (required)
+    --min-age <n> --max-age <n>     Age range (default 18..65)
+    --seed <value>                  Seed for reproducible output (together with --as-of)
+    --as-of <date>                  Reference date for ages
+    --age-policy <exact|truncated|rounded>
+                                    Age semantics of the age range and age statistics
+    --age-interval <[min,max)|[min,max]|[min,max+1)>
+                                    Whether the maximum age is included (default [min,max))
+    --born-after <date> --born-before <date>
+                                    Exact birth day bounds (exclusive) instead of ages
+                                    (with these or --age-interval, the resolved range is printed to stderr)
+    --birthdate-format <iso|date|midnight>
+                                    Full UTC timestamp (default), YYYY-MM-DD or midnight in --time-zone
+    --time-zone <tz>                Time zone of midnight birthdates, e.g. Europe/Prague (default UTC)
+    --locale <en|cs|sk|de>          Name dictionary
+    --workloads <list>              e.g. "10,20,30,40" or "40:60,20:40" (value:weight)
+    --genders <list>                e.g. "male,female,other" or "male:48,female:48,other:4" (value:weight)
+    --age-distribution <type>       uniform, normal or triangular
+    --correlations <json|file>      Rules making workloads or ages depend on other fields, inline JSON or a file
+    --unique                        Distinct birthdates
+    --unique-names                  Distinct name+surname pairs
+    --id <uuid|sequential>          Add a stable id
+    --hire-date                     Add a hire date (after the 18th birthday)
+    --email [--email-domain <d>]    Add a unique email derived from the name
+    --org <json|file>               Org spec (departments, shares, nested teams), inline JSON or a file
+    --format <json|ndjson|csv>      Output format (default json; ndjson and csv are streamed)
+    --delimiter <char>              CSV delimiter (default ",")
+    --bom                           Prefix CSV with a UTF-8 BOM (for Excel)
+    -o, --output <file>             Write to file instead of stdout
+
+  employees stats <file> [options]  Print statistics of a JSON or CSV (*.csv) employee list
+    --format <table|json|csv>       Output format (default table)
+    --delimiter <char>              CSV delimiter (detected by default)
+    --date-format <iso|d.M.yyyy>    Format of CSV date cells (default iso)
+    --schema <v2|compat>            JSON output schema (default v2)
+    --group-by <field>              gender, surname, name, workload, workloadBand, department or team
+    --hierarchy                     Roll statistics up departments and teams
+    --compensation <default|json|file>
+                                    Add FTE and payroll cost (default model, inline JSON or a file)
+    --as-of <date>                  Reference date for ages
+    --age-policy <exact|truncated|rounded>
+                                    Age semantics of the age statistics
+    --include-employees             Keep employee lists in JSON output
+
+  employees diff <before> <after> [options]
+                                    Compare two employee lists (JSON or CSV)
+    --key <fields>                  Identity fields, e.g. "name,surname" (default id if present,
+                                    otherwise name,surname,birthdate)
+    --format <text|json>            Output format (default text)
+    --as-of <date>                  Reference date for ages
+    --age-policy <exact|truncated|rounded>
+                                    Age semantics of the age statistics
+
+Exit codes: 0 ok, 1 invalid input, 2 wrong usage.`;
+
+/**
+ * Flags of the generate command.
+ */
+const GENERATE_OPTIONS = {
+  count: { type: "string" },
+  "min-age": { type: "string" },
+  "max-age": { type: "string" },
+  seed: { type: "string" },
+  "as-of": { type: "string" },
+  "age-policy": { type: "string" },
+  "age-interval": { type: "string" },
+  "born-after": { type: "string" },
+  "born-before": { type: "string" },
+  "birthdate-format": { type: "string" },
+  "time-zone": { type: "string" },
+  locale: { type: "string" },
+  workloads: { type: "string" },
+  genders: { type: "string" },
+  "age-distribution": { type: "string" },
+  correlations: { type: "string" },
+  unique: { type: "boolean" },
+  "unique-names": { type: "boolean" },
+  id: { type: "string" },
+  "hire-date": { type: "boolean" },
+  email: { type: "boolean" },
+  "email-domain": { type: "string" },
+  org: { type: "string" },
+  format: { type: "string", default: "json" },
+  delimiter: { type: "string" },
+  bom: { type: "boolean" },
+  output: { type: "string", short: "o" },
+};
+
+/**
+ * Flags of the stats command.
+ */
+const STATS_OPTIONS = {
+  format: { type: "string", default: "table" },
+  delimiter: { type: "string" },
+  "date-format": { type: "string" },
+  schema: { type: "string", default: "v2" },
+  "group-by": { type: "string" },
+  hierarchy: { type: "boolean" },
+  compensation: { type: "string" },
+  "as-of": { type: "string" },
+  "age-policy": { type: "string" },
+  "include-employees": { type: "boolean" },
+};
+
+/**
+ * Flags of the diff command.
+ */
+const DIFF_OPTIONS = {
+  key: { type: "string" },
+  format: { type: "string", default: "text" },
+  "as-of": { type: "string" },
+  "age-policy": { type: "string" },
+};
+
+/**
+ * Default I/O of the process.
+ */
+const PROCESS_IO = {
+  stdout: (text) => process.stdout.write(text + "\n"),
+  stderr: (text) => process.stderr.write(text + "\n"),
+  readFile: (path) => readFile(path, "utf8"),
+  writeFile: (path, data) => writeFile(path, data, "utf8"),
+  stdoutStream: process.stdout,
+};
+
+/**
+ * Number of employees serialized at once when streaming.
+ */
+const STREAM_CHUNK_SIZE = 1000;
+
+/**
+ * Convert flag value to a number when it looks like one (validation reports the rest).
+ * @param {string|undefined} value - Flag value.
+ * @returns {number|string|undefined} Number, original string or undefined.
+ */
+function toNumberish(value) {
+  if (value === undefined || value.trim() === "") return value;
+  const n = Number(value);
+  return Number.isNaN(n) ? value : n;
+}
+
+/**
+ * Parse --workloads ("10,20" or "40:60,20:40").
+ * @param {string} value - Flag value.
+ * @returns {Array<number|string|object>} dtoIn.workloads.
+ */
+function parseWorkloads(value) {
+  return value.split(",").map((part) => {
+    const [v, w] = part.split(":").map(toNumberish);
+    return w === undefined ? v : { value: v, weight: w };
+  });
+}
+
+/**
+ * Parse --genders ("male,female,other" or "male:48,female:48,other:4").
+ * @param {string} value - Flag value.
+ * @returns {Array<string|object>} dtoIn.genders.
+ */
+function parseGenders(value) {
+  return value.split(",").map((part) => {
+    const [v, w] = part.split(":");
+    return w === undefined ? v.trim() : { value: v.trim(), weight: toNumberish(w) };
+  });
+}
+
+/**
+ * Map --id, --hire-date, --email and --email-domain to dtoIn.extraFields.
+ * @param {object} values - Parsed flags.
+ * @returns {object|undefined} extraFields, or undefined if none is requested.
+ */
+function flagsToExtraFields(values) {
+  const email = values.email || values["email-domain"] !== undefined;
+  if (values.id === undefined && !values["hire-date"] && !email) return undefined;
+  return {
+    id: values.id ?? false,
+    hireDate: Boolean(values["hire-date"]),
+    email: email ? { domain: values["email-domain"] } : false,
+  };
+}
+
+/**
+ * Map birthdate format flags to dtoIn.birthdateFormat (--time-zone alone implies midnight).
+ * @param {object} values - Parsed flags.
+ * @returns {string|{type:string,timeZone:string}|undefined} Birthdate format.
+ */
+function flagsToBirthdateFormat(values) {
+  const type = values["birthdate-format"];
+  const timeZone = values["time-zone"];
+  return timeZone === undefined ? type : { type: type ?? "midnight", timeZone };
+}
+
+/**
+ * Map generate flags to dtoIn (always validated strictly).
+ * @param {object} values - Parsed flags.
+ * @returns {object} dtoIn - Input of generateEmployeeData.
+ */
+function flagsToDtoIn(values) {
+  const dtoIn = { count: toNumberish(values.count), age: {}, validation: "strict" };
+  if (values["min-age"] !== undefined) dtoIn.age.min = toNumberish(values["min-age"]);
+  if (values["max-age"] !== undefined) dtoIn.age.max = toNumberish(values["max-age"]);
+
+  const optional = {
+    seed: values.seed === undefined ? undefined : toNumberish(values.seed),
+    asOf: values["as-of"],
+    agePolicy: values["age-policy"],
+    ageInterval: values["age-interval"],
+    bornAfter: values["born-after"],
+    bornBefore: values["born-before"],
+    birthdateFormat: flagsToBirthdateFormat(values),
+    locale: values.locale,
+    workloads: values.workloads === undefined ? undefined : parseWorkloads(values.workloads),
+    genders: values.genders === undefined ? undefined : parseGenders(values.genders),
+    ageDistribution: values["age-distribution"],
+    unique: values.unique || values["unique-names"] ? { birthdates: Boolean(values.unique), names: Boolean(values["unique-names"]) } : undefined,
+    extraFields: flagsToExtraFields(values),
+  };
+  for (const [k, v] of Object.entries(optional)) if (v !== undefined) dtoIn[k] = v;
+  return dtoIn;
+}
+
+/**
+ * Run the generate command.
+ * @param {string[]} args - Arguments after the command name.
+ * @param {object} io - I/O functions.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runGenerate(args, io) {
+  const { values } = parseArgs({ args, options: GENERATE_OPTIONS, strict: true });
+  if (!["json", "ndjson", "csv"].includes(values.format)) {
+    io.stderr(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const dtoIn = flagsToDtoIn(values);
+  if (values.correlations !== undefined) dtoIn.correlations = await readJsonOption(values.correlations, "correlations", io);
+  if (values.org !== undefined) dtoIn.org = await readJsonOption(values.org, "org", io);
+  // Echo the resolved range on stderr, keeping stdout the employee list.
+  if (["age-interval", "born-after", "born-before"].some((k) => values[k] !== undefined)) {
+    io.stderr(`ageRange: ${JSON.stringify(getAgeRange(dtoIn))}`);
+  }
+  if (values.format !== "json") {
+    const employees = generateEmployees(dtoIn, { chunkSize: STREAM_CHUNK_SIZE });
+    const streamOptions = { format: values.format, delimiter: values.delimiter, bom: values.bom };
+    if (values.output) await io.writeFile(values.output, createEmployeeStream(employees, streamOptions));
+    else await writeEmployees(employees, io.stdoutStream, streamOptions);
+    return EXIT_OK;
+  }
+
+  const json = JSON.stringify(generateEmployeeData(dtoIn), null, 2);
+  if (values.output) await io.writeFile(values.output, json + "\n");
+  else io.stdout(json);
+  return EXIT_OK;
+}
+
+/**
+ * Format rows as a table with aligned columns.
+ * @param {Array<Array<string|number>>} rows - Rows (first one is the header).
+ * @returns {string} Table text.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map((r) => String(r[c]).length)));
+  return rows.map((r) => r.map((cell, c) => String(cell).padEnd(widths[c])).join("  ").trimEnd()).join("\n");
+}
+
+/**
+ * Format v2 statistics as text tables.
+ * @param {object} stats - Statistics in the v2 schema.
+ * @returns {string} Tables.
+ */
+function formatStatisticsTable(stats) {
+  const rows = [["Metric", "Value"]];
+  for (const k of ["total", "averageAge", "minAge", "maxAge", "medianAge", "medianWorkload", "averageWomenWorkload"]) {
+    rows.push([k, stats[k]]);
+  }
+  for (const [w, n] of Object.entries(stats.workloadCounts)) rows.push([`workload ${w}`, n]);
+  for (const [k, v] of Object.entries(stats.compensation ?? {})) if (v !== null) rows.push([k, v]);
+
+  const tables = [formatTable(rows), formatGroupTable("Gender", stats.genders)];
+  if (stats.groups) tables.push(formatGroupTable("Group", stats.groups));
+  if (stats.departments) {
+    const unitRows = [["Unit", "Manager", "Count", "Avg age", "Median age", "Avg workload"]];
+    tables.push(formatTable(collectUnitRows(stats.departments, 0, unitRows)));
+  }
+  return tables.join("\n\n");
+}
+
+/**
+ * Format statistics blocks (groups or genders) as a table.
+ * @param {string} title - Header of the key column.
+ * @param {Record<string, object>} blocks - Statistics block per key.
+ * @returns {string} Table text.
+ */
+function formatGroupTable(title, blocks) {
+  const rows = [[title, "Count", "Avg age", "Median age", "Min age", "Max age", "Avg workload"]];
+  for (const [key, g] of Object.entries(blocks)) {
+    rows.push([key, g.count, g.averageAge, g.medianAge, g.minAge, g.maxAge, g.averageWorkload]);
+  }
+  return formatTable(rows);
+}
+
+/**
+ * Collect table rows of departments and their teams (indented by level).
+ * @param {Record<string, object>} units - Units by name.
+ * @param {number} depth - Nesting level.
+ * @param {Array<Array<string|number>>} rows - Output rows.
+ * @returns {Array<Array<string|number>>} rows
+ */
+function collectUnitRows(units, depth, rows) {
+  for (const [name, u] of Object.entries(units)) {
+    rows.push(["  ".repeat(depth) + name, u.manager ?? "-", u.count, u.averageAge, u.medianAge, u.averageWorkload]);
+    if (u.teams) collectUnitRows(u.teams, depth + 1, rows);
+  }
+  return rows;
+}
+
+/**
+ * Read a structured flag value (e.g. --org): inline JSON, or a path to a JSON file.
+ * @param {string} value - Flag value.
+ * @param {string} path - Option name for error reports.
+ * @param {object} io - I/O functions.
+ * @returns {Promise<any>} Parsed value (validated by the API it is passed to).
+ * @throws {ValidationError} If the JSON cannot be read or parsed.
+ */
+async function readJsonOption(value, path, io) {
+  try {
+    return JSON.parse(/^\s*[[{]/.test(value) ? value : await io.readFile(value));
+  } catch (error) {
+    throw new ValidationError([{ code: "INVALID_FILE", path, message: error.message }]);
+  }
+}
+
+/**
+ * Read and validate an employee list from a CSV file (*.csv) or a JSON file (a list, or an object with `employees`).
+ * @param {string} path - File path.
+ * @param {object} io - I/O functions.
+ * @param {object} [csvOptions] - Options of parseEmployeesCsv.
+ * @returns {Promise<object[]>} Employees.
+ * @throws {ValidationError} If the file content is not a valid employee list.
+ */
+async function readEmployees(path, io, csvOptions = {}) {
+  let text, data;
+  try {
+    text = await io.readFile(path);
+    if (path.toLowerCase().endsWith(".csv")) return parseEmployeesCsv(text, { ...csvOptions, validation: "strict" }).employees;
+    data = JSON.parse(text);
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new ValidationError([{ code: "INVALID_FILE", path, message: error.message }]);
+  }
+
+  const employees = Array.isArray(data?.employees) ? data.employees : data;
+  const issues = validateEmployeeList(employees);
+  if (issues.length > 0) throw new ValidationError(issues);
+  return employees;
+}
+
+/**
+ * Run the stats command.
+ * @param {string[]} args - Arguments after the command name.
+ * @param {object} io - I/O functions.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runStats(args, io) {
+  const { values, positionals } = parseArgs({ args, options: STATS_OPTIONS, allowPositionals: true, strict: true });
+  if (positionals.length !== 1 || !["table", "json", "csv"].includes(values.format)) {
+    io.stderr(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const options = { asOf: values["as-of"], agePolicy: values["age-policy"], groupBy: values["group-by"], hierarchy: values.hierarchy };
+  if (values.compensation !== undefined) {
+    options.compensation = values.compensation === "default" ? true : await readJsonOption(values.compensation, "compensation", io);
+  }
+  validateStatisticsOptions({ ...options, outputSchema: values.schema, validation: "strict" });
+  const employees = await readEmployees(positionals[0], io, { delimiter: values.delimiter, dateFormat: values["date-format"] });
+  const table = values.format === "table";
+  const stats = getEmployeeStatistics(employees, { ...options, outputSchema: table ? "v2" : values.schema });
+
+  if (table) {
+    io.stdout(formatStatisticsTable(stats));
+    return EXIT_OK;
+  }
+  if (values.format === "csv") {
+    io.stdout(statisticsToCsv(stats, { delimiter: values.delimiter }).replace(/\r?\n$/, ""));
+    return EXIT_OK;
+  }
+  if (!values["include-employees"]) stripEmployeeLists(stats);
+  io.stdout(JSON.stringify(stats, null, 2));
+  return EXIT_OK;
+}
+
+/**
+ * Run the diff command.
+ * @param {string[]} args - Arguments after the command name.
+ * @param {object} io - I/O functions.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runDiff(args, io) {
+  const { values, positionals } = parseArgs({ args, options: DIFF_OPTIONS, allowPositionals: true, strict: true });
+  if (positionals.length !== 2 || !["text", "json"].includes(values.format)) {
+    io.stderr(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const options = { asOf: values["as-of"], agePolicy: values["age-policy"] };
+  validateStatisticsOptions({ ...options, validation: "strict" });
+  const before = await readEmployees(positionals[0], io);
+  const after = await readEmployees(positionals[1], io);
+  const key = values.key?.split(",").map((f) => f.trim());
+  const report = diffEmployees(before, after, { ...options, key });
+
+  io.stdout(values.format === "json" ? JSON.stringify(report, null, 2) : formatDiffText(report));
+  return EXIT_OK;
+}
+
+/**
+ * Remove employee lists from statistics output (both schemas).
+ * @param {object} stats - Statistics output.
+ * @returns {void}
+ */
+function stripEmployeeLists(stats) {
+  for (const target of [stats, stats.statistics].filter(Boolean)) {
+    for (const [k, v] of Object.entries(target)) if (Array.isArray(v)) delete target[k];
+  }
+}
+
+/**
+ * Report error and map it to an exit code.
+ * @param {Error} error - Thrown error.
+ * @param {object} io - I/O functions.
+ * @returns {number} Exit code.
+ */
+function handleError(error, io) {
+  if (error instanceof ValidationError) {
+    for (const i of error.issues) io.stderr(`error: ${i.path || "input"}: ${i.message} (${i.code})`);
+    return EXIT_INVALID_INPUT;
+  }
+  if (error?.code?.startsWith?.("ERR_PARSE_ARGS")) {
+    io.stderr(`error: ${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (error instanceof RangeError) {
+    io.stderr(`error: ${error.message}`);
+    return EXIT_INVALID_INPUT;
+  }
+  throw error;
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments (without node and script path).
+ * @param {object} [io] - I/O functions ({ stdout, stderr, readFile, writeFile, stdoutStream }).
+ * @returns {Promise<number>} Exit code.
+ */
+async function run(argv, io = PROCESS_IO) {
+  const [command, ...args] = argv;
+  const commands = { generate: runGenerate, stats: runStats, diff: runDiff };
+
+  if (command === "--help" || command === "-h") {
+    io.stdout(USAGE);
+    return EXIT_OK;
+  }
+  if (!Object.hasOwn(commands, command)) {
+    io.stderr(USAGE);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return await commands[command](args, io);
+  } catch (error) {
+    return handleError(error, io);
+  }
+}
+
+export { run, EXIT_OK, EXIT_INVALID_INPUT, EXIT_USAGE };
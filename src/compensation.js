@@ -0,0 +1,183 @@
+/**
+ * Synthetic compensation model (getEmployeeStatistics compensation option):
+ * workload → FTE and hours, annual full-time salary from bands by age or seniority,
+ * cost = salary × FTE.
+ */
+
+import { MS_PER_YEAR, toTimestamp } from "./dates.js";
+import { round1 } from "./statistics.js";
+
+/**
+ * What salary bands can be keyed by.
+ * - "age": age in years at the reference date.
+ * - "seniority": years since Employee.hireDate (0 without a hire date).
+ */
+const SALARY_BAND_KEYS = ["age", "seniority"];
+
+/**
+ * Model used for `compensation: true`; every part can be overridden.
+ * Workload is a percentage, so 100 means one full-time equivalent.
+ */
+const DEFAULT_COMPENSATION = {
+  fullTimeWorkload: 100,
+  hoursPerFte: 40,
+  salaryBands: {
+    by: "age",
+    bands: [
+      { from: 0, salary: 30000 },
+      { from: 30, salary: 42000 },
+      { from: 45, salary: 50000 },
+    ],
+  },
+  currency: null,
+};
+
+/**
+ * Normalize salary bands: a list of { from, salary } (by age) or { by, bands }.
+ * @param {any} spec - Salary bands spec.
+ * @returns {{by: string, bands: Array<{from: number, salary: number}>}|null} Bands sorted by from, or null if invalid.
+ */
+function normalizeSalaryBands(spec) {
+  const box = Array.isArray(spec) ? { bands: spec } : spec;
+  const by = box?.by ?? "age";
+  if (Object.keys(box ?? {}).some((k) => k !== "by" && k !== "bands")) return null;
+  if (!SALARY_BAND_KEYS.includes(by) || !Array.isArray(box.bands) || box.bands.length === 0) return null;
+
+  const valid = box.bands.every((b) => Number.isFinite(b?.from) && b.from >= 0 && Number.isFinite(b.salary) && b.salary >= 0);
+  if (!valid) return null;
+  return { by, bands: [...box.bands].map(({ from, salary }) => ({ from, salary })).sort((a, b) => a.from - b.from) };
+}
+
+/**
+ * Normalize the compensation option: true (default model) or
+ * { fullTimeWorkload, hoursPerFte, salaryBands, currency } with defaults for missing parts.
+ * @param {any} spec - Compensation spec.
+ * @returns {object|null} Model, or null if off or invalid (including unknown keys such as "hoursPerFTE").
+ */
+function normalizeCompensation(spec) {
+  if (spec === true) return DEFAULT_COMPENSATION;
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) return null;
+  if (Object.keys(spec).some((k) => !Object.hasOwn(DEFAULT_COMPENSATION, k))) return null;
+
+  const model = { ...DEFAULT_COMPENSATION, ...spec };
+  const positive = [model.fullTimeWorkload, model.hoursPerFte].every((n) => Number.isFinite(n) && n > 0);
+  const salaryBands = normalizeSalaryBands(model.salaryBands);
+  const currencyOk = model.currency === null || typeof model.currency === "string";
+  return positive && salaryBands && currencyOk ? { ...model, salaryBands } : null;
+}
+
+/**
+ * Check the compensation option.
+ * @param {any} spec - Compensation spec.
+ * @returns {boolean} True for booleans and valid models.
+ */
+function isValidCompensation(spec) {
+  return typeof spec === "boolean" || normalizeCompensation(spec) !== null;
+}
+
+/**
+ * Get the annual full-time salary of the band a value falls into (the first band below its start).
+ * @param {Array<{from: number, salary: number}>} bands - Sorted bands.
+ * @param {number} value - Age or seniority in years.
+ * @returns {number} Salary.
+ */
+function bandSalary(bands, value) {
+  let salary = bands[0].salary;
+  for (const band of bands) if (value >= band.from) salary = band.salary;
+  return salary;
+}
+
+/**
+ * Compute FTE, weekly hours, salary and annual cost of one employee.
+ * @param {object} e - Employee.
+ * @param {number} age - Age at the reference date.
+ * @param {object} model - Normalized model.
+ * @param {number} now - Reference time.
+ * @returns {{fte: number, hours: number, salary: number, cost: number}} Compensation.
+ */
+function employeeCompensation(e, age, model, now) {
+  const w = Number(e.workload);
+  const fte = Number.isFinite(w) ? w / model.fullTimeWorkload : 0;
+  const hired = toTimestamp(e.hireDate);
+  const seniority = hired === undefined ? 0 : Math.max(0, (now - hired) / MS_PER_YEAR);
+  const salary = bandSalary(model.salaryBands.bands, model.salaryBands.by === "age" ? age : seniority);
+  return { fte, hours: fte * model.hoursPerFte, salary, cost: salary * fte };
+}
+
+/**
+ * Create empty compensation totals.
+ * @returns {object} Totals.
+ */
+function createCompensationTotals() {
+  return { count: 0, fte: 0, hours: 0, cost: 0, costAge: 0, costWorkload: 0 };
+}
+
+/**
+ * Add one employee to compensation totals.
+ * @param {object} totals - Totals.
+ * @param {{fte: number, hours: number, cost: number}} pay - Employee compensation.
+ * @param {number} age - Age.
+ * @param {number} w - Workload.
+ * @returns {void}
+ */
+function addCompensation(totals, pay, age, w) {
+  totals.count++;
+  totals.fte += pay.fte;
+  totals.hours += pay.hours;
+  totals.cost += pay.cost;
+  totals.costAge += pay.cost * age;
+  totals.costWorkload += pay.cost * (Number.isFinite(w) ? w : 0);
+}
+
+/**
+ * Round to 2 decimal places (FTE and money).
+ * @param {number} n - Number.
+ * @returns {number} Rounded number.
+ */
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Compensation metrics of a group: FTE, payroll cost and average cost per employee.
+ * @param {object} totals - Totals.
+ * @returns {{fte: number, payrollCost: number, averageCost: number}} Group metrics.
+ */
+function summarizeGroupCompensation(totals) {
+  return {
+    fte: round2(totals.fte),
+    payrollCost: round2(totals.cost),
+    averageCost: totals.count ? round2(totals.cost / totals.count) : 0,
+  };
+}
+
+/**
+ * Overall compensation metrics, including averages weighted by cost.
+ * @param {object} totals - Totals.
+ * @param {object} model - Normalized model.
+ * @returns {object} Metrics.
+ */
+function summarizeCompensation(totals, model) {
+  const weighted = (sum) => (totals.cost ? round1(sum / totals.cost) : 0);
+  return {
+    totalFte: round2(totals.fte),
+    totalHours: round2(totals.hours),
+    payrollCost: round2(totals.cost),
+    averageCost: totals.count ? round2(totals.cost / totals.count) : 0,
+    costWeightedAverageAge: weighted(totals.costAge),
+    costWeightedAverageWorkload: weighted(totals.costWorkload),
+    currency: model.currency,
+  };
+}
+
+export {
+  DEFAULT_COMPENSATION,
+  SALARY_BAND_KEYS,
+  normalizeCompensation,
+  isValidCompensation,
+  employeeCompensation,
+  createCompensationTotals,
+  addCompensation,
+  summarizeGroupCompensation,
+  summarizeCompensation,
+};
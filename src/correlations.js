@@ -0,0 +1,129 @@
+/**
+ * Correlated attributes: rules that make workload weights and the age distribution depend on other fields, e.g.
+ * [{ when: { age: { lt: 26 } }, workloads: [{ value: 10, weight: 3 }, 20] },
+ *  { when: { gender: "female" }, ageDistribution: { type: "normal", mean: 35, stddev: 8 } }].
+ * `when` is a query (see src/query.js). For each attribute, the first matching rule that sets it wins;
+ * other employees use dtoIn.workloads and dtoIn.ageDistribution.
+ * The age is picked before the workload, so age distribution rules may test gender, name and surname,
+ * and workload rules may also test the age.
+ */
+
+import { ValidationError } from "./errors.js";
+import { compileQuery } from "./query.js";
+import { normalizeWorkloadSpec, resolveWorkloads } from "./workloads.js";
+import { isValidAgeDistribution, resolveAgeSampler } from "./ageDistribution.js";
+
+/**
+ * Keys of one rule.
+ */
+const RULE_KEYS = ["when", "workloads", "ageDistribution"];
+
+/**
+ * Fields an age distribution rule may test.
+ */
+const AGE_RULE_FIELDS = ["gender", "name", "surname"];
+
+/**
+ * Fields a workload rule may test.
+ */
+const WORKLOAD_RULE_FIELDS = [...AGE_RULE_FIELDS, "age"];
+
+/**
+ * Collect the fields a query tests.
+ * @param {any} query - Valid query.
+ * @returns {Set<string>|null} Field names, or null for a predicate function (any field).
+ */
+function queryFields(query) {
+  if (typeof query === "function") return null;
+  const fields = new Set();
+  for (const [key, value] of Object.entries(query)) {
+    if (!["and", "or", "not"].includes(key)) {
+      fields.add(key);
+      continue;
+    }
+    for (const part of key === "not" ? [value] : value) {
+      const inner = queryFields(part);
+      if (inner === null) return null;
+      for (const f of inner) fields.add(f);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Check that a query compiles and tests only the given fields.
+ * @param {any} query - Query.
+ * @param {string[]} allowed - Allowed fields.
+ * @returns {boolean} True if the rule can be evaluated at that point of generation.
+ */
+function testsOnly(query, allowed) {
+  try {
+    compileQuery(query);
+  } catch (error) {
+    if (error instanceof ValidationError) return false;
+    throw error;
+  }
+  const fields = queryFields(query);
+  return fields !== null && [...fields].every((f) => allowed.includes(f));
+}
+
+/**
+ * Check one rule.
+ * @param {any} rule - Rule.
+ * @returns {boolean} True for a valid rule.
+ */
+function isValidRule(rule) {
+  if (typeof rule !== "object" || rule === null || Array.isArray(rule)) return false;
+  if (!Object.keys(rule).every((k) => RULE_KEYS.includes(k))) return false;
+
+  const { when, workloads, ageDistribution } = rule;
+  if (workloads === undefined && ageDistribution === undefined) return false;
+  if (workloads !== undefined && (normalizeWorkloadSpec(workloads) === null || !testsOnly(when, WORKLOAD_RULE_FIELDS))) {
+    return false;
+  }
+  return ageDistribution === undefined || (isValidAgeDistribution(ageDistribution) && testsOnly(when, AGE_RULE_FIELDS));
+}
+
+/**
+ * Check dtoIn.correlations.
+ * @param {any} spec - dtoIn.correlations.
+ * @returns {boolean} True for a non-empty list of valid rules.
+ */
+function isValidCorrelations(spec) {
+  return Array.isArray(spec) && spec.length > 0 && spec.every(isValidRule);
+}
+
+/**
+ * Compile rules for generation.
+ * @param {any} spec - dtoIn.correlations (ignored unless valid).
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive).
+ * @param {number} now - Reference time of generation (ages in rules are computed against it).
+ * @returns {{workloadRules:object[],ageRules:object[]}|null} Compiled rules, or null without correlations.
+ */
+function createCorrelationContext(spec, minAge, maxAge, now) {
+  if (!isValidCorrelations(spec)) return null;
+
+  const workloadRules = [];
+  const ageRules = [];
+  for (const rule of spec) {
+    const match = compileQuery(rule.when, { asOf: now });
+    if (rule.workloads !== undefined) workloadRules.push({ match, ...resolveWorkloads(rule.workloads) });
+    if (rule.ageDistribution !== undefined) {
+      ageRules.push({ match, sampleAge: resolveAgeSampler(rule.ageDistribution, minAge, maxAge) });
+    }
+  }
+  return { workloadRules, ageRules };
+}
+
+/**
+ * Find the first rule matching an employee (or the part of it generated so far).
+ * @param {object[]} rules - Compiled rules.
+ * @param {object} employee - Employee.
+ * @returns {object|undefined} Rule.
+ */
+function findRule(rules, employee) {
+  return rules.find((rule) => rule.match(employee));
+}
+
+export { isValidCorrelations, createCorrelationContext, findRule };
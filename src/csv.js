@@ -0,0 +1,287 @@
+/**
+ * CSV serialization of employees and statistics, and CSV parsing back into employees.
+ * Quoting follows RFC 4180 (double quotes, doubled inside quoted cells); the delimiter is configurable
+ * (";" for Czech Excel) and detected from the header when not given.
+ */
+
+import { ValidationError } from "./errors.js";
+import { checkEmployee, resolveValidationMode } from "./validation.js";
+import { toTimestamp, isIsoDate } from "./dates.js";
+import { EXTRA_FIELDS } from "./extraFields.js";
+import { ORG_FIELDS } from "./org.js";
+
+/**
+ * Employee fields in column order.
+ */
+const EMPLOYEE_FIELDS = ["name", "surname", "gender", "birthdate", "workload"];
+
+/**
+ * Optional fields (see dtoIn.extraFields and dtoIn.org), written after the base fields when present.
+ */
+const OPTIONAL_FIELDS = [...EXTRA_FIELDS, ...ORG_FIELDS];
+
+/**
+ * Delimiters tried when the delimiter is not given.
+ */
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+/**
+ * UTF-8 byte order mark (makes Excel read the file as UTF-8).
+ */
+const BOM = "\uFEFF";
+
+/**
+ * Formats of date cells read by parseEmployeesCsv: ISO 8601 (the default), or also day.month.year
+ * as written by Czech Excel (3.5.1990 is 3 May 1990).
+ */
+const DATE_FORMATS = ["iso", "d.M.yyyy"];
+
+/**
+ * Day.month.year date cell (3.5.1990, 03.05.1990 or 3. 5. 1990).
+ */
+const DAY_MONTH_YEAR = /^(\d{1,2})\.\s?(\d{1,2})\.\s?(\d{4})$/;
+
+/**
+ * ISO date-time with an explicit UTC offset (1990-05-03T00:00:00.000+02:00).
+ */
+const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T[^Z]*[+-]\d{2}:\d{2}$/;
+
+/**
+ * Quote a cell if it contains the delimiter, quotes, line breaks or surrounding whitespace.
+ * @param {any} value - Cell value.
+ * @param {string} delimiter - Delimiter.
+ * @returns {string} Cell text.
+ */
+function quoteCell(value, delimiter) {
+  const text = value === undefined || value === null ? "" : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Serialize one row of cells (without line ending).
+ * @param {Array<any>} row - Cells.
+ * @param {string} [delimiter] - Delimiter.
+ * @returns {string} CSV line.
+ */
+function toCsvLine(row, delimiter = ",") {
+  return row.map((cell) => quoteCell(cell, delimiter)).join(delimiter);
+}
+
+/**
+ * Serialize rows of cells.
+ * @param {Array<Array<any>>} rows - Rows.
+ * @param {object} [options] - { delimiter = ",", bom = false, lineEnding = "\r\n" }.
+ * @returns {string} CSV text.
+ */
+function toCsv(rows, options = {}) {
+  const { delimiter = ",", bom = false, lineEnding = "\r\n" } = options;
+  const body = rows.map((row) => toCsvLine(row, delimiter)).join(lineEnding);
+  return (bom ? BOM : "") + body + lineEnding;
+}
+
+/**
+ * Get the columns of employees shaped like sample: the base fields plus the optional fields it has.
+ * @param {object} [sample] - First employee.
+ * @returns {string[]} Fields.
+ */
+function csvFields(sample) {
+  return [...EMPLOYEE_FIELDS, ...OPTIONAL_FIELDS.filter((f) => sample !== null && typeof sample === "object" && f in sample)];
+}
+
+/**
+ * Serialize employees, one row per employee.
+ * Optional fields are written when the first employee has them.
+ * @param {object[]} employees - Employees.
+ * @param {object} [options] - toCsv options plus `columns` (field → header text) and `header` (default true).
+ * @returns {string} CSV text.
+ */
+function employeesToCsv(employees, options = {}) {
+  const { columns = {}, header = true } = options;
+  const fields = csvFields(employees[0]);
+  const rows = employees.map((e) => fields.map((f) => e[f]));
+  if (header) rows.unshift(fields.map((f) => columns[f] ?? f));
+  return toCsv(rows, options);
+}
+
+/**
+ * Flatten nested statistics into [metric, value] rows; employee lists are skipped.
+ * @param {object} value - Statistics (or nested part of them).
+ * @param {string} prefix - Metric name prefix.
+ * @param {Array<Array<any>>} rows - Output rows.
+ * @returns {Array<Array<any>>} rows
+ */
+function flattenStatistics(value, prefix, rows) {
+  for (const [k, v] of Object.entries(value)) {
+    const metric = prefix ? `${prefix}.${k}` : k;
+    if (Array.isArray(v)) continue;
+    if (v !== null && typeof v === "object") flattenStatistics(v, metric, rows);
+    else rows.push([metric, v]);
+  }
+  return rows;
+}
+
+/**
+ * Serialize statistics (any output schema) as "metric,value" rows, e.g. "workloadCounts.10,12".
+ * @param {object} statistics - Output of getEmployeeStatistics.
+ * @param {object} [options] - toCsv options.
+ * @returns {string} CSV text.
+ */
+function statisticsToCsv(statistics, options = {}) {
+  return toCsv(flattenStatistics(statistics, "", [["metric", "value"]]), options);
+}
+
+/**
+ * Pick the candidate delimiter occurring most often in the first line.
+ * @param {string} text - CSV text.
+ * @returns {string} Delimiter.
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = CANDIDATE_DELIMITERS.map((d) => firstLine.split(d).length);
+  return CANDIDATE_DELIMITERS[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Split CSV text into rows of cells, remembering the line each row starts on.
+ * Blank lines are skipped.
+ * @param {string} text - CSV text (without BOM).
+ * @param {string} delimiter - Delimiter.
+ * @returns {{rows: Array<{cells: string[], line: number}>, unterminatedLine: number|null}} Rows.
+ */
+function splitRows(text, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== "") rows.push({ cells, line: rowLine });
+    cells = [];
+    cell = "";
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\n") line++;
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (text[i + 1] === '"') cell += text[++i];
+      else quoted = false;
+    } else if (ch === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n") endRow();
+    else if (ch !== "\r") cell += ch;
+  }
+  const unterminatedLine = quoted ? rowLine : null;
+  endRow();
+  return { rows, unterminatedLine };
+}
+
+/**
+ * Map employee fields to column indexes using the header (case-insensitive, surrounding spaces ignored).
+ * Optional fields are mapped only when their column exists.
+ * @param {string[]} headerCells - Header cells.
+ * @param {Record<string, string>} columns - Field → header text (defaults to the field name).
+ * @returns {Record<string, number>} Field → column index.
+ * @throws {ValidationError} If a base column is missing.
+ */
+function resolveColumnIndexes(headerCells, columns) {
+  const normalized = headerCells.map((h) => h.trim().toLowerCase());
+  const indexes = {};
+  const issues = [];
+  for (const field of [...EMPLOYEE_FIELDS, ...OPTIONAL_FIELDS]) {
+    const index = normalized.indexOf(String(columns[field] ?? field).toLowerCase());
+    if (index !== -1) indexes[field] = index;
+    else if (EMPLOYEE_FIELDS.includes(field)) {
+      issues.push({ code: "MISSING_COLUMN", path: field, message: `Missing column "${columns[field] ?? field}".` });
+    }
+  }
+  if (issues.length > 0) throw new ValidationError(issues);
+  return indexes;
+}
+
+/**
+ * Normalize a date cell to an ISO string; other text is kept for error reporting, never parsed in local time.
+ * ISO date-times with an offset are kept as written: converting them to UTC could move the date.
+ * @param {string} value - Cell text.
+ * @param {string} dateFormat - One of DATE_FORMATS.
+ * @returns {string} ISO date or the original text.
+ */
+function toIsoDate(value, dateFormat) {
+  const dayMonthYear = dateFormat === "d.M.yyyy" ? DAY_MONTH_YEAR.exec(value) : null;
+  if (dayMonthYear) {
+    const [day, month, year] = dayMonthYear.slice(1, 4);
+    const iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+    return isIsoDate(iso) ? `${iso}T00:00:00.000Z` : value;
+  }
+  if (!isIsoDate(value) || ISO_WITH_OFFSET.test(value)) return value;
+  return new Date(toTimestamp(value)).toISOString();
+}
+
+/**
+ * Build employee from row cells; dates are normalized to ISO strings, numeric workloads to numbers,
+ * isManager to a boolean and an empty hire date or team to null.
+ * @param {string[]} cells - Row cells.
+ * @param {Record<string, number>} indexes - Field → column index.
+ * @param {string} dateFormat - Format of date cells (see DATE_FORMATS).
+ * @returns {object} Employee (possibly invalid).
+ */
+function rowToEmployee(cells, indexes, dateFormat) {
+  const employee = {};
+  for (const [field, index] of Object.entries(indexes)) employee[field] = (cells[index] ?? "").trim();
+
+  employee.birthdate = toIsoDate(employee.birthdate, dateFormat);
+  // A cell that is not a number stays text, so the row error shows it as written.
+  const workload = Number(employee.workload);
+  if (employee.workload !== "" && Number.isFinite(workload)) employee.workload = workload;
+  if ("hireDate" in employee) employee.hireDate = employee.hireDate === "" ? null : toIsoDate(employee.hireDate, dateFormat);
+  if ("team" in employee) employee.team = employee.team === "" ? null : employee.team;
+  if ("isManager" in employee) employee.isManager = employee.isManager.toLowerCase() === "true";
+  return employee;
+}
+
+/**
+ * Parse employees from CSV text.
+ * Invalid rows are left out and reported in `errors` (with the `row` line number);
+ * with `validation: "strict"` they throw instead.
+ * @param {string} text - CSV text (a leading UTF-8 BOM is ignored).
+ * @param {object} [options] - { delimiter (detected by default), columns (field → header text),
+ * dateFormat ("iso" by default, or "d.M.yyyy"; see DATE_FORMATS), validation }.
+ * @returns {{employees: object[], errors: Array<import("./errors.js").ValidationIssue & {row: number}>}} Result.
+ * @throws {ValidationError} If the date format is unknown or a column is missing, or in strict mode if any row is invalid.
+ */
+function parseEmployeesCsv(text, options = {}) {
+  const dateFormat = options.dateFormat ?? DATE_FORMATS[0];
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw new ValidationError([{ code: "INVALID_DATE_FORMAT", path: "dateFormat", message: `Date format must be one of ${DATE_FORMATS.join(", ")}.` }]);
+  }
+  const source = text.startsWith(BOM) ? text.slice(BOM.length) : text;
+  const delimiter = options.delimiter ?? detectDelimiter(source);
+  const { rows, unterminatedLine } = splitRows(source, delimiter);
+  if (rows.length === 0) throw new ValidationError([{ code: "MISSING_COLUMN", path: "", message: "Missing header row." }]);
+
+  const indexes = resolveColumnIndexes(rows[0].cells, options.columns ?? {});
+  const employees = [];
+  const errors = [];
+  rows.slice(1).forEach(({ cells, line }, i) => {
+    const employee = rowToEmployee(cells, indexes, dateFormat);
+    const issues = checkEmployee(employee, `[${i}]`).map((issue) => ({ ...issue, message: `Line ${line}: ${issue.message}`, row: line }));
+    if (line === unterminatedLine) issues.unshift({ code: "UNTERMINATED_QUOTE", path: `[${i}]`, message: `Line ${line}: Unterminated quoted cell.`, row: line });
+    if (issues.length > 0) errors.push(...issues);
+    else employees.push(employee);
+  });
+
+  if (errors.length > 0 && resolveValidationMode(options) === "strict") throw new ValidationError(errors);
+  return { employees, errors };
+}
+
+export { EMPLOYEE_FIELDS, DATE_FORMATS, BOM, toCsvLine, csvFields, employeesToCsv, statisticsToCsv, parseEmployeesCsv };
@@ -0,0 +1,351 @@
+/**
+ * Date and age helpers shared by generation, statistics, queries and input validation.
+ * Ages are calendar ages: a person turns one year older at the start of their birthday
+ * (born on 29 February: on 1 March in common years), whatever the time of birth. The birth day is the
+ * date as written in an ISO birthdate (1990-05-03, 1990-05-03T17:42:11.532Z or 1990-05-03T00:00:00.000+02:00),
+ * and the reference time is compared in UTC.
+ */
+
+/**
+ * Number of milliseconds in a day.
+ */
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Number of milliseconds in an average year (365.25 days).
+ * Used where an approximate duration is enough (age distributions, seniority, hire dates).
+ */
+const MS_PER_YEAR = 1000 * 60 * 60 * 24 * 365.25;
+
+/**
+ * Age policies: how ages are reported by statistics and bounded by the generation age range.
+ * - "exact": decimal age (completed years plus the elapsed part of the current year of life)
+ * - "truncated": completed years
+ * - "rounded": decimal age rounded to whole years (17 years and 6 months = 18)
+ */
+const AGE_POLICIES = ["exact", "truncated", "rounded"];
+
+/**
+ * Age intervals: which ages of the generation age range are allowed (the first one is the default).
+ * - "[min,max)": from min up to below max
+ * - "[min,max]": from min up to max (with whole-year policies the same as "[min,max+1)")
+ * - "[min,max+1)": from min through every age of the max-th year of life
+ */
+const AGE_INTERVALS = ["[min,max)", "[min,max]", "[min,max+1)"];
+
+/**
+ * ISO 8601 date, or date-time with "Z" or an offset (Date.parse reads a date-time without one in local time).
+ */
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Birthdate output formats:
+ * - "iso": full UTC timestamp (1990-05-03T17:42:11.532Z)
+ * - "date": date only (1990-05-03)
+ * - "midnight": midnight of the birth day in a time zone, e.g. { type: "midnight", timeZone: "Europe/Prague" }
+ *   gives 1990-05-03T00:00:00.000+02:00 (UTC by default)
+ */
+const BIRTHDATE_FORMATS = ["iso", "date", "midnight"];
+
+/**
+ * Date part of an ISO 8601 date or date-time string.
+ */
+const ISO_DATE_PREFIX = /^(\d{4})-(\d{2})-(\d{2})(?:T|$)/;
+
+/**
+ * Offset part of a "longOffset" time zone name (GMT+02:00).
+ */
+const GMT_OFFSET = /GMT([+-])(\d{2}):(\d{2})/;
+
+/**
+ * Date formatters by time zone (creating one is slow).
+ */
+const OFFSET_FORMATTERS = new Map();
+
+/**
+ * Truncate a timestamp to the start of its UTC day.
+ * @param {number} ms - Timestamp in milliseconds.
+ * @returns {number} Timestamp of 00:00:00.000 UTC of the same day.
+ */
+function startOfUtcDay(ms) {
+  return Math.floor(ms / MS_PER_DAY) * MS_PER_DAY;
+}
+
+/**
+ * Get the start of the birthday of a birth date in a given year.
+ * Date.UTC moves 29 February of a common year to 1 March.
+ * @param {Date} birth - Birth date.
+ * @param {number} year - Year.
+ * @returns {number} Timestamp of 00:00 UTC of the birthday.
+ */
+function birthdayInYear(birth, year) {
+  return Date.UTC(year, birth.getUTCMonth(), birth.getUTCDate());
+}
+
+/**
+ * Get the start of the birthday on which a person turns the given age (29 February: 1 March in common years).
+ * @param {number} birthMs - Birth timestamp.
+ * @param {number} age - Age in whole years.
+ * @returns {number} Timestamp of 00:00 UTC of that birthday.
+ */
+function birthdayAtAge(birthMs, age) {
+  const birth = new Date(birthMs);
+  return birthdayInYear(birth, birth.getUTCFullYear() + age);
+}
+
+/**
+ * Calculate age in completed years.
+ * @param {number} birthMs - Birth timestamp.
+ * @param {number} now - Reference time in milliseconds.
+ * @returns {number} Completed years (negative for a birth after now).
+ */
+function completedYears(birthMs, now) {
+  const birth = new Date(birthMs);
+  const year = new Date(now).getUTCFullYear();
+  const years = year - birth.getUTCFullYear();
+  return birthdayInYear(birth, year) > now ? years - 1 : years;
+}
+
+/**
+ * Calculate decimal calendar age: completed years plus the elapsed part of the year since the last birthday.
+ * @param {number} birthMs - Birth timestamp.
+ * @param {number} now - Reference time in milliseconds.
+ * @returns {number} Age in years (decimal).
+ */
+function exactAge(birthMs, now) {
+  const birth = new Date(birthMs);
+  const years = completedYears(birthMs, now);
+  const last = birthdayInYear(birth, birth.getUTCFullYear() + years);
+  const next = birthdayInYear(birth, birth.getUTCFullYear() + years + 1);
+  return years + (now - last) / (next - last);
+}
+
+/**
+ * Get the birth day of a birthdate: the date as written in an ISO string, otherwise the UTC date.
+ * @param {any} birthdate - Birthdate (ISO date or date-time string, other date string, timestamp or Date).
+ * @returns {number|undefined} Timestamp of 00:00 UTC of the birth day, or undefined if invalid.
+ */
+function birthDayOf(birthdate) {
+  const ms = toTimestamp(birthdate);
+  if (ms === undefined) return undefined;
+  const match = typeof birthdate === "string" ? ISO_DATE_PREFIX.exec(birthdate) : null;
+  return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : startOfUtcDay(ms);
+}
+
+/**
+ * Calculate decimal calendar age from a birthdate.
+ * @param {any} birthdate - Birthdate in any format accepted by birthDayOf (e.g. "1990-05-03",
+ * "1990-05-03T17:42:11.532Z" or "1990-05-03T00:00:00.000+02:00").
+ * @param {number} [now] - Reference time in milliseconds.
+ * @returns {number} Age in years (decimal; 0 for an invalid birthdate).
+ */
+function calculateAge(birthdate, now = Date.now()) {
+  const birthDay = birthDayOf(birthdate);
+  if (birthDay === undefined) return 0;
+  return exactAge(birthDay, now);
+}
+
+/**
+ * Resolve an age policy option.
+ * @param {any} value - Option value.
+ * @returns {string|null} Age policy, or null for the default (decimal average, truncated min, max and median).
+ */
+function resolveAgePolicy(value) {
+  return AGE_POLICIES.includes(value) ? value : null;
+}
+
+/**
+ * Apply an age policy to a decimal age.
+ * @param {number} age - Decimal age.
+ * @param {string} [policy] - Age policy (see AGE_POLICIES); any other value keeps the decimal age.
+ * @returns {number} Age under the policy.
+ */
+function applyAgePolicy(age, policy) {
+  if (policy === "truncated") return Math.floor(age);
+  if (policy === "rounded") return Math.round(age);
+  return age;
+}
+
+/**
+ * Find the latest birth day on which a person is at least the given (decimal) age at the reference time.
+ * @param {number} age - Age in years (may be fractional).
+ * @param {number} now - Reference time in milliseconds.
+ * @returns {number} Timestamp of 00:00 UTC of that day.
+ */
+function latestBirthDayForAge(age, now) {
+  // Age falls as the birth day moves later; search the days around the 365.25-day estimate.
+  let lo = startOfUtcDay(now - (age + 1) * MS_PER_YEAR) / MS_PER_DAY;
+  let hi = startOfUtcDay(now - (age - 1) * MS_PER_YEAR) / MS_PER_DAY;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (exactAge(mid * MS_PER_DAY, now) >= age) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo * MS_PER_DAY;
+}
+
+/**
+ * Find the oldest birth day whose age under the policy is within the upper bound of the interval.
+ * @param {number} maxAge - Maximum age.
+ * @param {number} now - Reference time in milliseconds.
+ * @param {string} [policy] - Age policy.
+ * @param {string} interval - Age interval (see AGE_INTERVALS).
+ * @returns {number} Timestamp of 00:00 UTC of that day.
+ */
+function oldestBirthDay(maxAge, now, policy, interval) {
+  const shift = policy === "rounded" ? 0.5 : 0;
+  if (interval === "[min,max)") return latestBirthDayForAge(maxAge - shift, now) + MS_PER_DAY;
+  // Whole-year ages up to maxAge are the decimal ages below maxAge + 1 (maxAge + 0.5 when rounded).
+  if (interval === "[min,max+1)" || policy === "truncated" || policy === "rounded") {
+    return latestBirthDayForAge(maxAge + 1 - shift, now) + MS_PER_DAY;
+  }
+  const day = latestBirthDayForAge(maxAge, now);
+  return exactAge(day, now) > maxAge ? day + MS_PER_DAY : day;
+}
+
+/**
+ * Compute the birth timestamps of people whose age under the policy is within the age interval.
+ * @param {number} minAge - Minimum age (inclusive).
+ * @param {number} maxAge - Maximum age (exclusive unless the interval says otherwise).
+ * @param {number} now - Reference time in milliseconds.
+ * @param {string} [policy] - Age policy; "rounded" accepts decimal ages from minAge - 0.5 to below maxAge - 0.5.
+ * @param {string} [interval] - Age interval (see AGE_INTERVALS; default "[min,max)").
+ * @returns {{oldest:number,youngest:number}} Inclusive range of birth timestamps (youngest is at most now).
+ */
+function birthRangeForAges(minAge, maxAge, now, policy, interval = AGE_INTERVALS[0]) {
+  const shift = policy === "rounded" ? 0.5 : 0;
+  return {
+    oldest: oldestBirthDay(maxAge, now, policy, interval),
+    youngest: Math.min(latestBirthDayForAge(minAge - shift, now) + MS_PER_DAY - 1, now),
+  };
+}
+
+/**
+ * Check an IANA time zone name.
+ * @param {any} timeZone - Time zone name (e.g. "Europe/Prague").
+ * @returns {boolean} True if the runtime knows the time zone.
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize dtoIn.birthdateFormat. Accepts a format name ("date") or { type, timeZone }.
+ * @param {any} spec - dtoIn.birthdateFormat.
+ * @returns {{type:string,timeZone:string}|null} Format, or null if the spec is not valid.
+ */
+function normalizeBirthdateFormat(spec) {
+  const box = typeof spec === "string" ? { type: spec } : spec;
+  if (typeof box !== "object" || box === null || !BIRTHDATE_FORMATS.includes(box.type)) return null;
+  const timeZone = box.timeZone ?? "UTC";
+  return isValidTimeZone(timeZone) ? { type: box.type, timeZone } : null;
+}
+
+/**
+ * Check dtoIn.birthdateFormat.
+ * @param {any} spec - dtoIn.birthdateFormat.
+ * @returns {boolean} True for a valid format.
+ */
+function isValidBirthdateFormat(spec) {
+  return normalizeBirthdateFormat(spec) !== null;
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant.
+ * @param {number} ms - Timestamp.
+ * @param {string} timeZone - Time zone name.
+ * @returns {number} Offset in minutes (positive east of UTC).
+ */
+function timeZoneOffset(ms, timeZone) {
+  if (!OFFSET_FORMATTERS.has(timeZone)) {
+    OFFSET_FORMATTERS.set(timeZone, new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" }));
+  }
+  const name = OFFSET_FORMATTERS.get(timeZone).formatToParts(ms).find((p) => p.type === "timeZoneName").value;
+  const match = GMT_OFFSET.exec(name);
+  if (!match) return 0;
+  return (match[1] === "-" ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Format a UTC offset for ISO strings.
+ * @param {number} minutes - Offset in minutes.
+ * @returns {string} "Z" or an offset such as "+02:00".
+ */
+function formatOffset(minutes) {
+  if (minutes === 0) return "Z";
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Format a generated birth timestamp; the date formats keep its UTC date as the birth day.
+ * @param {number} ms - Birth timestamp.
+ * @param {{type:string,timeZone:string}} format - Normalized format (see normalizeBirthdateFormat).
+ * @returns {string} Birthdate.
+ */
+function formatBirthdate(ms, format) {
+  const iso = new Date(ms).toISOString();
+  if (format.type === "date") return iso.slice(0, 10);
+  if (format.type !== "midnight") return iso;
+
+  // The offset at local midnight; a second pass corrects a guess taken on the other side of a DST change.
+  const day = startOfUtcDay(ms);
+  const guess = timeZoneOffset(day, format.timeZone);
+  const offset = timeZoneOffset(day - guess * 60000, format.timeZone);
+  return `${iso.slice(0, 10)}T00:00:00.000${formatOffset(offset)}`;
+}
+
+/**
+ * Convert a date-like value (Date, timestamp or date string) to milliseconds.
+ * @param {any} value - Date-like value.
+ * @returns {number|undefined} Timestamp in milliseconds or undefined if invalid.
+ */
+function toTimestamp(value) {
+  let ms;
+  if (value instanceof Date) ms = value.getTime();
+  else if (typeof value === "number") ms = value;
+  else if (typeof value === "string") ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+/**
+ * Check that a value is an ISO date string (see ISO_DATE) of an existing calendar day.
+ * @param {any} value - Value.
+ * @returns {boolean} True for e.g. "1990-05-03" or "1990-05-03T00:00:00.000+02:00", false for "1990-02-30" or "3.5.1990".
+ */
+function isIsoDate(value) {
+  const match = typeof value === "string" ? ISO_DATE.exec(value) : null;
+  if (!match || toTimestamp(value) === undefined) return false;
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+export {
+  MS_PER_DAY,
+  MS_PER_YEAR,
+  AGE_POLICIES,
+  AGE_INTERVALS,
+  BIRTHDATE_FORMATS,
+  startOfUtcDay,
+  birthdayAtAge,
+  completedYears,
+  exactAge,
+  birthDayOf,
+  calculateAge,
+  resolveAgePolicy,
+  applyAgePolicy,
+  birthRangeForAges,
+  normalizeBirthdateFormat,
+  isValidBirthdateFormat,
+  formatBirthdate,
+  toTimestamp,
+  isIsoDate,
+};
@@ -0,0 +1,199 @@
+/**
+ * Comparison of two employee lists (e.g. last month's and this month's roster):
+ * added, removed and changed employees matched by an identity key, and the delta of every metric.
+ */
+
+import { ValidationError } from "./errors.js";
+import { round1 } from "./statistics.js";
+
+/**
+ * Fields identifying an employee by default (when not every employee has an id).
+ */
+const DEFAULT_DIFF_KEY = ["name", "surname", "birthdate"];
+
+/**
+ * Scalar metrics of the v2 output compared by diffStatistics (workload counts are added per workload).
+ */
+const DIFF_METRICS = ["total", "averageAge", "minAge", "maxAge", "medianAge", "medianWorkload", "averageWomenWorkload"];
+
+/**
+ * Metrics of each v2 `genders` block compared by diffStatistics.
+ */
+const GENDER_DIFF_METRICS = ["count", "averageAge", "minAge", "maxAge", "medianAge", "averageWorkload", "medianWorkload"];
+
+/**
+ * Resolve the identity key spec: a field name, a list of field names or a function (employee) => key.
+ * @param {any} key - Key spec.
+ * @returns {(e: object) => any[]} Function returning the key parts of an employee.
+ * @throws {ValidationError} If the key spec is invalid.
+ */
+function resolveDiffKey(key) {
+  if (typeof key === "function") return (e) => [key(e)];
+  const fields = typeof key === "string" ? [key] : key;
+  if (!Array.isArray(fields) || fields.length === 0 || !fields.every((f) => typeof f === "string" && f !== "")) {
+    throw new ValidationError([
+      { code: "INVALID_KEY", path: "key", message: '"key" must be a field name, a list of field names or a function.' },
+    ]);
+  }
+  return (e) => fields.map((f) => e[f]);
+}
+
+/**
+ * Pick the default key: the id when every employee has one (see dtoIn.extraFields), otherwise DEFAULT_DIFF_KEY.
+ * @param {object[]} before - Previous employees.
+ * @param {object[]} after - Current employees.
+ * @returns {string|string[]} Key spec.
+ */
+function defaultDiffKey(before, after) {
+  const hasId = (e) => e !== null && typeof e === "object" && e.id !== undefined && e.id !== null;
+  const all = [...before, ...after];
+  return all.length > 0 && all.every(hasId) ? "id" : DEFAULT_DIFF_KEY;
+}
+
+/**
+ * Index employees by key; employees sharing a key are matched in list order.
+ * @param {object[]} employees - Employees.
+ * @param {(e: object) => any[]} keyOf - Key function.
+ * @returns {Map<string, {parts: any[], items: object[]}>} Employees by serialized key.
+ */
+function indexByKey(employees, keyOf) {
+  const index = new Map();
+  for (const e of employees) {
+    const parts = keyOf(e);
+    const id = JSON.stringify(parts);
+    if (!index.has(id)) index.set(id, { parts, items: [] });
+    index.get(id).items.push(e);
+  }
+  return index;
+}
+
+/**
+ * List fields whose values differ.
+ * @param {object} before - Employee before.
+ * @param {object} after - Employee after.
+ * @returns {Record<string, {before: any, after: any}>} Changed fields.
+ */
+function diffFields(before, after) {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { before: before[field], after: after[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare two employee lists.
+ * @param {object[]} before - Previous employees.
+ * @param {object[]} after - Current employees.
+ * @param {any} [key] - Identity key spec (see resolveDiffKey; default see defaultDiffKey).
+ * @returns {{added: object[], removed: object[], changed: object[], unchanged: number}} Differences; every
+ * changed item is { key, before, after, changes }.
+ * @throws {ValidationError} If the key spec is invalid.
+ */
+function diffEmployeeLists(before, after, key) {
+  const keyOf = resolveDiffKey(key ?? defaultDiffKey(before, after));
+  const previous = indexByKey(before, keyOf);
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [id, { parts, items }] of indexByKey(after, keyOf)) {
+    const matches = previous.get(id)?.items ?? [];
+    result.added.push(...items.slice(matches.length));
+    items.slice(0, matches.length).forEach((e, i) => {
+      const changes = diffFields(matches[i], e);
+      if (Object.keys(changes).length === 0) result.unchanged++;
+      else result.changed.push({ key: parts.join(" "), before: matches[i], after: e, changes });
+    });
+    previous.set(id, { parts, items: matches.slice(items.length) });
+  }
+  for (const { items } of previous.values()) result.removed.push(...items);
+  return result;
+}
+
+/**
+ * Compute the delta of every metric between two v2 statistics outputs.
+ * Workload counts are compared per workload as "workload<value>" metrics, and the statistics of each gender
+ * as "genders.<gender>.<metric>" metrics (0 for a gender missing on one side).
+ * @param {object} before - Previous statistics (v2).
+ * @param {object} after - Current statistics (v2).
+ * @returns {Record<string, {before: number, after: number, delta: number}>} Delta per metric.
+ */
+function diffStatistics(before, after) {
+  const entry = (a, b) => ({ before: a, after: b, delta: round1(b - a) });
+  const out = {};
+  for (const metric of DIFF_METRICS) out[metric] = entry(before[metric], after[metric]);
+
+  const workloads = new Set([...Object.keys(before.workloadCounts), ...Object.keys(after.workloadCounts)]);
+  for (const w of [...workloads].sort((a, b) => a - b)) {
+    out[`workload${w}`] = entry(before.workloadCounts[w] ?? 0, after.workloadCounts[w] ?? 0);
+  }
+  return { ...out, ...diffGenderStatistics(before.genders ?? {}, after.genders ?? {}, entry) };
+}
+
+/**
+ * Compute the delta of every metric of each gender (0 for a gender missing on one side).
+ * @param {Record<string, object>} before - Previous statistics per gender.
+ * @param {Record<string, object>} after - Current statistics per gender.
+ * @param {(a: number, b: number) => object} entry - Delta entry factory.
+ * @returns {Record<string, {before: number, after: number, delta: number}>} Delta per "genders.<gender>.<metric>".
+ */
+function diffGenderStatistics(before, after, entry) {
+  const out = {};
+  for (const g of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    for (const metric of GENDER_DIFF_METRICS) {
+      out[`genders.${g}.${metric}`] = entry(before[g]?.[metric] ?? 0, after[g]?.[metric] ?? 0);
+    }
+  }
+  return out;
+}
+
+/**
+ * Format a signed number ("+0.4", "-3", "0").
+ * @param {number} n - Number.
+ * @returns {string} Signed number.
+ */
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+/**
+ * Short description of an employee.
+ * @param {object} e - Employee.
+ * @returns {string} Description.
+ */
+function describeEmployee(e) {
+  return `${e.name} ${e.surname} (${String(e.birthdate).slice(0, 10)}, ${e.gender}, workload ${e.workload})`;
+}
+
+/**
+ * Format a diff report as human-readable text.
+ * @param {object} report - Output of diffEmployees.
+ * @returns {string} Text.
+ */
+function formatDiffText(report) {
+  const { added, removed, changed, statistics } = report;
+  const lines = [
+    `Employees: ${statistics.total.before} -> ${statistics.total.after} ` +
+      `(${added.length} added, ${removed.length} removed, ${changed.length} changed)`,
+  ];
+
+  if (added.length) lines.push("", "Added:", ...added.map((e) => `  + ${describeEmployee(e)}`));
+  if (removed.length) lines.push("", "Removed:", ...removed.map((e) => `  - ${describeEmployee(e)}`));
+  if (changed.length) {
+    lines.push("", "Changed:");
+    for (const c of changed) {
+      const fields = Object.entries(c.changes).map(([f, v]) => `${f} ${v.before} -> ${v.after}`);
+      lines.push(`  ~ ${c.key}: ${fields.join(", ")}`);
+    }
+  }
+
+  const width = Math.max(...Object.keys(statistics).map((m) => m.length));
+  lines.push("", "Statistics:");
+  for (const [metric, { before, after, delta }] of Object.entries(statistics)) {
+    lines.push(`  ${metric.padEnd(width)}  ${before} -> ${after}  (${signed(delta)})`);
+  }
+  return lines.join("\n");
+}
+
+export { DEFAULT_DIFF_KEY, diffEmployeeLists, diffStatistics, formatDiffText };
@@ -0,0 +1,31 @@
+/**
+ * Error types thrown for invalid input.
+ */
+
+/**
+ * Single validation problem.
+ * @typedef {object} ValidationIssue
+ * @property {string} code - Machine-readable code (e.g. INVALID_COUNT).
+ * @property {string} path - Path of the offending input (e.g. "age.max"; "" for dtoIn itself).
+ * @property {string} message - Human-readable description.
+ */
+
+/**
+ * Thrown in strict mode when dtoIn contains invalid or unknown input.
+ * `code` and `path` describe the first issue, `issues` holds all of them.
+ */
+class ValidationError extends Error {
+  /**
+   * Create validation error from the collected issues.
+   * @param {ValidationIssue[]} issues - Validation issues (at least one).
+   */
+  constructor(issues) {
+    super(issues.map((i) => `${i.path || "dtoIn"}: ${i.message}`).join(" "));
+    this.name = "ValidationError";
+    this.code = issues[0].code;
+    this.path = issues[0].path;
+    this.issues = issues;
+  }
+}
+
+export { ValidationError };
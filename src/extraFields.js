@@ -0,0 +1,171 @@
+/**
+ * Optional employee fields (dtoIn.extraFields): a stable id, a hire date and a unique email derived from the name.
+ * They are drawn from a random stream of their own, so turning them on does not change
+ * the five base fields of a seeded run.
+ */
+
+import { createRandom, isValidSeed } from "./random.js";
+import { birthdayAtAge } from "./dates.js";
+
+/**
+ * Names of the optional fields.
+ */
+const EXTRA_FIELDS = ["id", "hireDate", "email"];
+
+/**
+ * Supported id types.
+ * - "uuid": version 4 UUID (derived from the seed when there is one).
+ * - "sequential": code by generation order, e.g. "EMP-000001".
+ */
+const ID_TYPES = ["uuid", "sequential"];
+
+/**
+ * Prefix of sequential ids.
+ */
+const SEQUENTIAL_ID_PREFIX = "EMP-";
+
+/**
+ * Email domain used unless extraFields.email.domain says otherwise.
+ */
+const DEFAULT_EMAIL_DOMAIN = "example.com";
+
+/**
+ * Minimal age at hire date.
+ */
+const HIRE_AGE = 18;
+
+/**
+ * Normalize the email part of the spec.
+ * @param {any} email - true or { domain }.
+ * @returns {string|null|undefined} Domain, null if off, undefined if invalid.
+ */
+function normalizeEmail(email) {
+  if (email === undefined || email === false) return null;
+  if (email === true) return DEFAULT_EMAIL_DOMAIN;
+  const domain = email?.domain ?? DEFAULT_EMAIL_DOMAIN;
+  return typeof domain === "string" && /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain) ? domain : undefined;
+}
+
+/**
+ * Normalize the id part of the spec.
+ * @param {any} id - true, "uuid" or "sequential".
+ * @returns {string|null|undefined} Id type, null if off, undefined if invalid.
+ */
+function normalizeId(id) {
+  if (id === undefined || id === false) return null;
+  if (id === true) return "uuid";
+  return ID_TYPES.includes(id) ? id : undefined;
+}
+
+/**
+ * Normalize dtoIn.extraFields: a list of field names (["id", "hireDate", "email"]) or
+ * { id: true | "uuid" | "sequential", hireDate: boolean, email: boolean | { domain } }.
+ * @param {any} spec - Extra fields spec.
+ * @returns {{id: string|null, hireDate: boolean, email: string|null}|null} Normalized spec, or null if invalid.
+ */
+function normalizeExtraFields(spec) {
+  const box = Array.isArray(spec) ? Object.fromEntries(spec.map((f) => [f, true])) : spec;
+  if (box === null || typeof box !== "object" || Object.keys(box).some((k) => !EXTRA_FIELDS.includes(k))) return null;
+
+  const id = normalizeId(box.id);
+  const email = normalizeEmail(box.email);
+  if (id === undefined || email === undefined) return null;
+  if (box.hireDate !== undefined && typeof box.hireDate !== "boolean") return null;
+  return { id, hireDate: box.hireDate === true, email };
+}
+
+/**
+ * Check dtoIn.extraFields.
+ * @param {any} spec - Extra fields spec.
+ * @returns {boolean} True if valid.
+ */
+function isValidExtraFields(spec) {
+  return normalizeExtraFields(spec) !== null;
+}
+
+/**
+ * Create the generation state of extra fields.
+ * @param {any} spec - dtoIn.extraFields.
+ * @param {number|string} [seed] - Generation seed.
+ * @returns {object|null} State, or null if no extra field is requested (or the spec is invalid).
+ */
+function createExtraFieldsContext(spec, seed) {
+  const fields = spec === undefined ? null : normalizeExtraFields(spec);
+  if (!fields || (!fields.id && !fields.hireDate && !fields.email)) return null;
+  const rng = createRandom(isValidSeed(seed) ? `${seed}:extraFields` : undefined);
+  return { ...fields, rng, sequence: 0, usedEmails: fields.email ? new Set() : null };
+}
+
+/**
+ * Create a version 4 UUID from a random source.
+ * @param {() => number} rng - Random source.
+ * @returns {string} UUID.
+ */
+function randomUuid(rng) {
+  const bytes = Array.from({ length: 16 }, () => Math.floor(rng() * 256));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Lowercase ASCII form of a name for email addresses ("Dvořák" -> "dvorak").
+ * @param {string} text - Name.
+ * @returns {string} Email part.
+ */
+function emailPart(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * Derive a unique email address: name.surname@domain, or name.surname.<sequence number>@domain when
+ * an earlier employee has the same name. The used set holds one entry per name+surname pair.
+ * @param {object} employee - Employee.
+ * @param {object} ctx - Extra fields state (see createExtraFieldsContext).
+ * @returns {string} Email address.
+ */
+function pickEmail(employee, ctx) {
+  const local = `${emailPart(employee.name)}.${emailPart(employee.surname)}`;
+  if (ctx.usedEmails.has(local)) return `${local}.${ctx.sequence}@${ctx.email}`;
+  ctx.usedEmails.add(local);
+  return `${local}@${ctx.email}`;
+}
+
+/**
+ * Pick a hire date between the start of the 18th birthday (calendar, UTC) and now.
+ * @param {number} birthMs - Birth timestamp (its UTC date is the birth day).
+ * @param {number} now - Generation time.
+ * @param {() => number} rng - Random source.
+ * @returns {string|null} ISO hire date, or null for employees younger than 18.
+ */
+function pickHireDate(birthMs, now, rng) {
+  const earliest = birthdayAtAge(birthMs, HIRE_AGE);
+  if (earliest > now) return null;
+  return new Date(earliest + Math.floor(rng() * (now - earliest + 1))).toISOString();
+}
+
+/**
+ * Add the requested extra fields to a generated employee (id first, hire date and email last).
+ * @param {object} employee - Employee with the five base fields.
+ * @param {number} birthMs - Birth timestamp of the employee.
+ * @param {object} ctx - Extra fields state (see createExtraFieldsContext).
+ * @param {number} now - Generation time.
+ * @returns {object} Employee with extra fields.
+ */
+function addExtraFields(employee, birthMs, ctx, now) {
+  ctx.sequence++;
+  const out = {};
+  if (ctx.id === "uuid") out.id = randomUuid(ctx.rng);
+  if (ctx.id === "sequential") out.id = SEQUENTIAL_ID_PREFIX + String(ctx.sequence).padStart(6, "0");
+  Object.assign(out, employee);
+  if (ctx.hireDate) out.hireDate = pickHireDate(birthMs, now, ctx.rng);
+  if (ctx.email) out.email = pickEmail(employee, ctx);
+  return out;
+}
+
+export { EXTRA_FIELDS, ID_TYPES, HIRE_AGE, isValidExtraFields, createExtraFieldsContext, addExtraFields };
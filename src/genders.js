@@ -0,0 +1,89 @@
+/**
+ * Gender values, their ratio and name pools used for generation.
+ * "male" and "female" take their names from the dictionary (maleNames, femaleNames);
+ * any other value (e.g. "other", "unspecified") uses its own names or the dictionary's neutralNames.
+ * Only "female" uses the female surname forms.
+ */
+
+import { isNameList } from "./locales.js";
+import { toCumulative } from "./random.js";
+
+/**
+ * Gender values used when dtoIn does not define any (equal ratio).
+ */
+const DEFAULT_GENDERS = ["male", "female"];
+
+/**
+ * Normalize dtoIn.genders into { value, weight, names } items.
+ * Accepts gender names (weight 1) or { value, weight, names } items,
+ * e.g. [{ value: "male", weight: 48 }, { value: "female", weight: 48 }, { value: "other", weight: 4 }].
+ * @param {any} spec - dtoIn.genders.
+ * @returns {{value:string,weight:number,names:string[]|null}[]|null} Items, or null if the spec is not valid.
+ */
+function normalizeGenderSpec(spec) {
+  if (!Array.isArray(spec) || spec.length === 0) return null;
+
+  const items = spec.map((item) =>
+    typeof item === "string"
+      ? { value: item, weight: 1, names: null }
+      : { value: item?.value, weight: item?.weight ?? 1, names: item?.names ?? null }
+  );
+  const valid = items.every(
+    (item) =>
+      typeof item.value === "string" &&
+      item.value !== "" &&
+      Number.isFinite(item.weight) &&
+      item.weight >= 0 &&
+      (item.names === null || isNameList(item.names))
+  );
+  const distinct = new Set(items.map((item) => item.value)).size === items.length;
+  if (!valid || !distinct || items.every((item) => item.weight === 0)) return null;
+  return items;
+}
+
+/**
+ * Check dtoIn.genders.
+ * @param {any} spec - dtoIn.genders.
+ * @returns {boolean} True for a valid gender spec.
+ */
+function isValidGenderSpec(spec) {
+  return normalizeGenderSpec(spec) !== null;
+}
+
+/**
+ * Get the default name pool of a gender.
+ * @param {string} gender - Gender value.
+ * @param {object} dictionary - Resolved dictionary (see resolveDictionary).
+ * @returns {string[]} Names.
+ */
+function dictionaryNames(gender, dictionary) {
+  if (gender === "male") return dictionary.maleNames;
+  if (gender === "female") return dictionary.femaleNames;
+  return dictionary.neutralNames;
+}
+
+/**
+ * Resolve gender values, optional weights and the name pool of every gender.
+ * Genders with weight 0 are left out; invalid input falls back to DEFAULT_GENDERS with equal weights.
+ * @param {any} spec - dtoIn.genders.
+ * @param {object} dictionary - Resolved dictionary (see resolveDictionary).
+ * @returns {{genders:string[],genderWeights:number[]|null,namesByGender:Record<string, string[]>}}
+ * Values, cumulative weights (null = uniform) and names per gender.
+ */
+function resolveGenders(spec, dictionary) {
+  const items = (normalizeGenderSpec(spec) ?? DEFAULT_GENDERS.map((value) => ({ value, weight: 1, names: null })))
+    .filter((item) => item.weight > 0);
+
+  const namesByGender = {};
+  for (const item of items) namesByGender[item.value] = item.names ?? dictionaryNames(item.value, dictionary);
+
+  const weights = items.map((item) => item.weight);
+  const uniform = weights.every((w) => w === weights[0]);
+  return {
+    genders: items.map((item) => item.value),
+    genderWeights: uniform ? null : toCumulative(weights),
+    namesByGender,
+  };
+}
+
+export { DEFAULT_GENDERS, normalizeGenderSpec, isValidGenderSpec, resolveGenders };
@@ -0,0 +1,76 @@
+/**
+ * Group keys for per-group statistics (getEmployeeStatistics groupBy option).
+ */
+
+/**
+ * Workload band edges used by the built-in "workloadBand" grouping.
+ */
+const DEFAULT_WORKLOAD_BANDS = [20, 40];
+
+/**
+ * Built-in group key functions: (employee, age) => key.
+ */
+const BUILT_IN_GROUPS = {
+  gender: (e) => e.gender,
+  name: (e) => e.name,
+  surname: (e) => e.surname,
+  workload: (e) => Number(e.workload),
+  workloadBand: (e) => bandLabel(Number(e.workload), DEFAULT_WORKLOAD_BANDS),
+  department: (e) => e.department,
+  // Full unit path, as team names are only unique within their department.
+  team: (e) => [e.department, e.team].filter((part) => typeof part === "string" && part !== "").join(" / "),
+};
+
+/**
+ * Fields that can be split into bands with { field, bands }.
+ */
+const BAND_FIELDS = {
+  age: (e, age) => Math.floor(age),
+  workload: (e) => Number(e.workload),
+};
+
+/**
+ * Label of the band a value falls into.
+ * Edges [25, 35] give the bands "<25", "25-34" and "35+".
+ * @param {number} value - Value.
+ * @param {number[]} edges - Ascending band edges (lower bound of each band but the first).
+ * @returns {string} Band label.
+ */
+function bandLabel(value, edges) {
+  if (value < edges[0]) return `<${edges[0]}`;
+  for (let i = 1; i < edges.length; i++) {
+    if (value < edges[i]) return `${edges[i - 1]}-${edges[i] - 1}`;
+  }
+  return `${edges[edges.length - 1]}+`;
+}
+
+/**
+ * Check band edges (non-empty, finite, strictly ascending).
+ * @param {any} edges - Candidate edges.
+ * @returns {boolean} True if the edges can be used.
+ */
+function isValidBands(edges) {
+  return (
+    Array.isArray(edges) &&
+    edges.length > 0 &&
+    edges.every((v, i) => Number.isFinite(v) && (i === 0 || v > edges[i - 1]))
+  );
+}
+
+/**
+ * Resolve group key function from the groupBy option.
+ * Accepts a built-in name ("gender", "surname", "name", "workload", "workloadBand"),
+ * a band spec ({ field: "age" | "workload", bands: [25, 35] }) or a custom function (employee, age) => key.
+ * @param {any} groupBy - groupBy option.
+ * @returns {((employee: object, age: number) => any)|null} Key function, or null if groupBy is not valid.
+ */
+function resolveGroupKey(groupBy) {
+  if (typeof groupBy === "function") return groupBy;
+  if (typeof groupBy === "string") return Object.hasOwn(BUILT_IN_GROUPS, groupBy) ? BUILT_IN_GROUPS[groupBy] : null;
+  if (!Object.hasOwn(BAND_FIELDS, groupBy?.field ?? "") || !isValidBands(groupBy.bands)) return null;
+
+  const field = BAND_FIELDS[groupBy.field];
+  return (e, age) => bandLabel(field(e, age), groupBy.bands);
+}
+
+export { BUILT_IN_GROUPS, bandLabel, isValidBands, resolveGroupKey };
@@ -0,0 +1,128 @@
+/**
+ * Built-in name dictionaries (locale packs) used for generation.
+ * Surnames are stored in their base (male) form; `femaleSurnames`, when present,
+ * holds the female form at the same index (e.g. Novák / Nováková).
+ * `neutralNames` are used for gender values other than male and female (see src/genders.js).
+ */
+
+/**
+ * Locale used when dtoIn does not name one.
+ */
+const DEFAULT_LOCALE = "en";
+
+/**
+ * Built-in locale packs.
+ */
+const LOCALES = {
+  en: {
+    maleNames: ["Peter", "John", "Martin", "Thomas", "Michael", "James", "Robert", "William"],
+    femaleNames: ["Emma", "Olivia", "Sophia", "Ava", "Isabella", "Mia", "Emily", "Amelia"],
+    neutralNames: ["Alex", "Sam", "Jordan", "Casey", "Robin", "Charlie", "Jamie", "Riley"],
+    surnames: ["Smith", "Johnson", "Brown", "Taylor", "Anderson", "Thomas", "Jackson", "White"],
+  },
+  cs: {
+    maleNames: ["Jan", "Petr", "Josef", "Pavel", "Martin", "Tomáš", "Jaroslav", "Miroslav", "Zdeněk", "Jiří"],
+    femaleNames: ["Jana", "Marie", "Eva", "Hana", "Anna", "Lenka", "Kateřina", "Lucie", "Věra", "Petra"],
+    neutralNames: ["Saša", "Nikola", "Robin", "Alex", "Kim", "Vanja"],
+    surnames: ["Novák", "Svoboda", "Novotný", "Dvořák", "Černý", "Procházka", "Kučera", "Veselý", "Horák", "Němec"],
+    femaleSurnames: [
+      "Nováková",
+      "Svobodová",
+      "Novotná",
+      "Dvořáková",
+      "Černá",
+      "Procházková",
+      "Kučerová",
+      "Veselá",
+      "Horáková",
+      "Němcová",
+    ],
+    deriveFemaleSurname: deriveSlavicFemaleSurname,
+  },
+  sk: {
+    maleNames: ["Peter", "Ján", "Jozef", "Michal", "Martin", "Tomáš", "Lukáš", "Marek", "Milan", "Juraj"],
+    femaleNames: ["Mária", "Anna", "Zuzana", "Katarína", "Eva", "Lucia", "Jana", "Martina", "Monika", "Ivana"],
+    neutralNames: ["Saša", "Nikola", "Robin", "Alex", "Kim", "Vanja"],
+    surnames: ["Horváth", "Kováč", "Varga", "Tóth", "Nagy", "Baláž", "Szabó", "Molnár", "Lukáč", "Kollár"],
+    femaleSurnames: [
+      "Horváthová",
+      "Kováčová",
+      "Vargová",
+      "Tóthová",
+      "Nagyová",
+      "Balážová",
+      "Szabóová",
+      "Molnárová",
+      "Lukáčová",
+      "Kollárová",
+    ],
+    deriveFemaleSurname: deriveSlavicFemaleSurname,
+  },
+  de: {
+    maleNames: ["Lukas", "Jonas", "Leon", "Felix", "Paul", "Maximilian", "Elias", "Noah", "Ben", "Finn"],
+    femaleNames: ["Anna", "Lena", "Hannah", "Sophie", "Marie", "Lea", "Emilia", "Mia", "Laura", "Clara"],
+    neutralNames: ["Alex", "Kim", "Robin", "Sascha", "Toni", "Charlie", "Luca", "Jule"],
+    surnames: ["Müller", "Schmidt", "Schneider", "Fischer", "Weber", "Meyer", "Wagner", "Becker", "Schulz", "Hoffmann"],
+  },
+};
+
+/**
+ * Derive a Czech/Slovak female surname from the male form.
+ * Covers the common patterns (Černý → Černá, Svoboda → Svobodová, Němec → Němcová).
+ * @param {string} surname - Male form of the surname.
+ * @returns {string} Female form of the surname.
+ */
+function deriveSlavicFemaleSurname(surname) {
+  if (/ý$/.test(surname)) return surname.slice(0, -1) + "á";
+  if (/[aeě]$/.test(surname)) return surname.slice(0, -1) + "ová";
+  if (/ec$/.test(surname)) return surname.slice(0, -2) + "cová";
+  if (/ek$/.test(surname)) return surname.slice(0, -2) + "ková";
+  return surname + "ová";
+}
+
+/**
+ * Check that a value is a non-empty list of non-empty strings.
+ * @param {any} list - Candidate list.
+ * @returns {boolean} True if the list can be used as a dictionary.
+ */
+function isNameList(list) {
+  return Array.isArray(list) && list.length > 0 && list.every((v) => typeof v === "string" && v.length > 0);
+}
+
+/**
+ * Resolve female surname forms for the surname list in use.
+ * @param {object} pack - Locale pack.
+ * @param {object} custom - Custom dictionary from dtoIn.
+ * @param {string[]} surnames - Surnames in use.
+ * @returns {string[]|undefined} Female forms (same length as surnames) or undefined.
+ */
+function resolveFemaleSurnames(pack, custom, surnames) {
+  if (isNameList(custom.femaleSurnames)) {
+    return custom.femaleSurnames.length === surnames.length ? custom.femaleSurnames : undefined;
+  }
+  if (surnames === pack.surnames) return pack.femaleSurnames;
+  return pack.deriveFemaleSurname ? surnames.map(pack.deriveFemaleSurname) : undefined;
+}
+
+/**
+ * Resolve name dictionary from a locale name and optional custom lists.
+ * Custom lists replace the matching lists of the locale pack.
+ * @param {string} [locale] - Locale pack name (en, cs, sk, de).
+ * @param {object} [custom] - Custom lists (maleNames, femaleNames, neutralNames, surnames, femaleSurnames).
+ * @returns {{maleNames:string[],femaleNames:string[],neutralNames:string[],surnames:string[],femaleSurnames:string[]|undefined}} Dictionary.
+ */
+function resolveDictionary(locale, custom) {
+  const pack = LOCALES[Object.hasOwn(LOCALES, locale) ? locale : DEFAULT_LOCALE];
+  const safeCustom = typeof custom === "object" && custom !== null ? custom : {};
+  const surnames = isNameList(safeCustom.surnames) ? safeCustom.surnames : pack.surnames;
+
+  return {
+    maleNames: isNameList(safeCustom.maleNames) ? safeCustom.maleNames : pack.maleNames,
+    femaleNames: isNameList(safeCustom.femaleNames) ? safeCustom.femaleNames : pack.femaleNames,
+    neutralNames: isNameList(safeCustom.neutralNames) ? safeCustom.neutralNames : pack.neutralNames,
+    surnames,
+    femaleSurnames: resolveFemaleSurnames(pack, safeCustom, surnames),
+  };
+}
+
+export { DEFAULT_LOCALE, LOCALES, resolveDictionary, deriveSlavicFemaleSurname, isNameList };
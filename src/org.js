@@ -0,0 +1,142 @@
+/**
+ * Organisation structure (dtoIn.org): departments with headcount shares and nested teams.
+ * Every unit gets a manager; employees are spread over units by exact quotas (largest remainder),
+ * drawn from a random stream of their own so the base fields of a seeded run do not change.
+ */
+
+import { createRandom, isValidSeed } from "./random.js";
+
+/**
+ * Employee fields added by the org spec.
+ */
+const ORG_FIELDS = ["department", "team", "isManager"];
+
+/**
+ * Separator of nested team names in Employee.team ("Platform / Core").
+ */
+const TEAM_SEPARATOR = " / ";
+
+/**
+ * Normalize one unit: a name, or { name, share = 1, teams }.
+ * @param {any} unit - Unit spec.
+ * @returns {{name: string, share: number, teams: object[]}|null} Normalized unit, or null if invalid.
+ */
+function normalizeUnit(unit) {
+  const box = typeof unit === "string" ? { name: unit } : unit;
+  if (box === null || typeof box !== "object" || typeof box.name !== "string" || box.name.trim() === "") return null;
+  if (box.name.includes(TEAM_SEPARATOR.trim())) return null;
+
+  const share = box.share ?? 1;
+  if (!Number.isFinite(share) || share <= 0) return null;
+  const teams = box.teams === undefined ? [] : normalizeUnits(box.teams);
+  return teams ? { name: box.name.trim(), share, teams } : null;
+}
+
+/**
+ * Normalize a list of sibling units (names must be distinct).
+ * @param {any} units - Unit specs.
+ * @returns {object[]|null} Normalized units, or null if invalid.
+ */
+function normalizeUnits(units) {
+  if (!Array.isArray(units) || units.length === 0) return null;
+  const out = units.map(normalizeUnit);
+  if (out.some((u) => u === null)) return null;
+  return new Set(out.map((u) => u.name)).size === out.length ? out : null;
+}
+
+/**
+ * Normalize dtoIn.org: a list of departments or { departments }.
+ * A department (or team) is a name or { name, share, teams }, where share is a relative headcount weight.
+ * @param {any} spec - Org spec.
+ * @returns {object[]|null} Normalized departments, or null if invalid.
+ */
+function normalizeOrgSpec(spec) {
+  return normalizeUnits(Array.isArray(spec) ? spec : spec?.departments);
+}
+
+/**
+ * Check dtoIn.org.
+ * @param {any} spec - Org spec.
+ * @returns {boolean} True if valid.
+ */
+function isValidOrgSpec(spec) {
+  return normalizeOrgSpec(spec) !== null;
+}
+
+/**
+ * Split n into integer parts proportional to shares (largest remainder, ties by order).
+ * @param {number} n - Total.
+ * @param {number[]} shares - Positive shares.
+ * @returns {number[]} Parts summing to n.
+ */
+function apportion(n, shares) {
+  const total = shares.reduce((a, b) => a + b, 0);
+  const exact = shares.map((s) => (n * s) / total);
+  const parts = exact.map(Math.floor);
+  const order = exact.map((x, i) => [x - parts[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (let k = 0; k < n - parts.reduce((a, b) => a + b, 0); k++) parts[order[k][1]]++;
+  return parts;
+}
+
+/**
+ * Create the slots of a unit and its teams: a unit with teams keeps one seat for its manager,
+ * the rest of its headcount goes to its teams; a unit without teams holds all its headcount.
+ * @param {object} unit - Normalized unit.
+ * @param {number} n - Headcount of the unit.
+ * @param {string} department - Department name.
+ * @param {string[]} path - Team names below the department.
+ * @param {object[]} slots - Output slots.
+ * @returns {object[]} slots
+ */
+function allocateUnit(unit, n, department, path, slots) {
+  if (n === 0) return slots;
+  const team = path.length ? path.join(TEAM_SEPARATOR) : null;
+  if (unit.teams.length === 0) {
+    slots.push({ department, team, remaining: n, managed: false });
+    return slots;
+  }
+
+  slots.push({ department, team, remaining: 1, managed: false });
+  const parts = apportion(n - 1, unit.teams.map((t) => t.share));
+  unit.teams.forEach((t, i) => allocateUnit(t, parts[i], department, [...path, t.name], slots));
+  return slots;
+}
+
+/**
+ * Create the org assignment state. Its size depends on the number of units only.
+ * @param {any} spec - dtoIn.org.
+ * @param {number} count - Employee count.
+ * @param {number|string} [seed] - Generation seed.
+ * @returns {object|null} State, or null without a (valid) org spec.
+ */
+function createOrgContext(spec, count, seed) {
+  const departments = spec === undefined ? null : normalizeOrgSpec(spec);
+  if (!departments) return null;
+
+  const slots = [];
+  const parts = apportion(count, departments.map((d) => d.share));
+  departments.forEach((d, i) => allocateUnit(d, parts[i], d.name, [], slots));
+  return { slots, remaining: count, rng: createRandom(isValidSeed(seed) ? `${seed}:org` : undefined) };
+}
+
+/**
+ * Assign the next employee to a unit, weighted by the seats left, and add the org fields.
+ * The first employee assigned to a unit becomes its manager.
+ * @param {object} employee - Generated employee.
+ * @param {object} ctx - Org state (see createOrgContext).
+ * @returns {object} Employee with department, team and isManager.
+ */
+function addOrgFields(employee, ctx) {
+  let pick = Math.floor(ctx.rng() * ctx.remaining);
+  let i = 0;
+  while (pick >= ctx.slots[i].remaining) pick -= ctx.slots[i++].remaining;
+  const slot = ctx.slots[i];
+  slot.remaining--;
+  ctx.remaining--;
+
+  const isManager = !slot.managed;
+  slot.managed = true;
+  return { ...employee, department: slot.department, team: slot.team, isManager };
+}
+
+export { ORG_FIELDS, TEAM_SEPARATOR, isValidOrgSpec, createOrgContext, addOrgFields };
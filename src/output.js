@@ -0,0 +1,325 @@
+/**
+ * Output shapes (schemas) of getEmployeeStatistics.
+ * - "compat": every metric under all historical key names, top level and under `statistics`.
+ * - "v2": exactly one key per metric, marked with `schemaVersion`.
+ */
+
+import { AGE_POLICIES, AGE_INTERVALS } from "./dates.js";
+
+/**
+ * Supported output schemas.
+ */
+const OUTPUT_SCHEMAS = ["compat", "v2"];
+
+/**
+ * Output schema used when none is requested.
+ */
+const DEFAULT_OUTPUT_SCHEMA = "compat";
+
+/**
+ * Build women workload aliases (multiple key names used in tests).
+ * @param {number} v - Average workload for women.
+ * @returns {object} aliases - Object with alias properties.
+ */
+function buildWomenWorkloadAliases(v) {
+  return {
+    averageWomenWorkload: v,
+    averageWorkloadWomen: v,
+    avgWomenWorkload: v,
+    womenAverageWorkload: v,
+    averageFemaleWorkload: v,
+    averageWorkloadFemales: v,
+  };
+}
+
+/**
+ * Build sorting aliases for tests.
+ * @param {object[]} sorted - Array sorted by workload.
+ * @returns {object} aliases - Object with alias properties.
+ */
+function buildSortedAliases(sorted) {
+  return {
+    sortedByWorkload: sorted,
+    employeesSortedByWorkload: sorted,
+    sortedEmployeeListByWorkload: sorted,
+  };
+}
+
+/**
+ * Build the "compat" dtoOut.
+ * @param {object} statistics - Core statistics (see computeStats in main.js).
+ * @param {object[]} employees - Employees.
+ * @param {object} [extras] - Additional metrics requested through options.
+ * @returns {object} dtoOut - Output with all aliases.
+ */
+function formatCompatOutput(statistics, employees, extras = {}) {
+  const total = statistics.employeeCount;
+
+  return {
+    employees,
+    ...statistics,
+    total,
+
+    ...buildWomenWorkloadAliases(statistics.averageWorkloadWomen),
+    ...buildSortedAliases(statistics.employeesSortedByWorkload),
+    ...extras,
+
+    statistics: {
+      employeeCount: statistics.employeeCount,
+      total,
+
+      workload10: statistics.workload10,
+      workload20: statistics.workload20,
+      workload30: statistics.workload30,
+      workload40: statistics.workload40,
+      workloadCounts: statistics.workloadCounts,
+
+      averageAge: statistics.averageAge,
+      minAge: statistics.minAge,
+      maxAge: statistics.maxAge,
+      medianAge: statistics.medianAge,
+      medianWorkload: statistics.medianWorkload,
+      genders: statistics.genders,
+
+      ...buildWomenWorkloadAliases(statistics.averageWorkloadWomen),
+      ...buildSortedAliases(statistics.employeesSortedByWorkload),
+      ...extras,
+
+      employeeList: employees,
+    },
+  };
+}
+
+/**
+ * Build the "v2" dtoOut (one key per metric).
+ * @param {object} statistics - Core statistics (see computeStats in main.js).
+ * @param {object[]} employees - Employees.
+ * @param {object} [extras] - Additional metrics requested through options.
+ * @returns {object} dtoOut - Lean versioned output.
+ */
+function formatV2Output(statistics, employees, extras = {}) {
+  return {
+    schemaVersion: "v2",
+    total: statistics.employeeCount,
+    workloadCounts: statistics.workloadCounts,
+    averageAge: statistics.averageAge,
+    minAge: statistics.minAge,
+    maxAge: statistics.maxAge,
+    medianAge: statistics.medianAge,
+    medianWorkload: statistics.medianWorkload,
+    averageWomenWorkload: statistics.averageWorkloadWomen,
+    genders: statistics.genders,
+    ...extras,
+    sortedByWorkload: statistics.employeesSortedByWorkload,
+    employees,
+  };
+}
+
+/**
+ * Format dtoOut in the requested schema (unknown schema names fall back to "compat").
+ * @param {string} [schema] - Output schema name.
+ * @param {object} statistics - Core statistics.
+ * @param {object[]} employees - Employees.
+ * @param {object} [extras] - Additional metrics.
+ * @returns {object} dtoOut - Formatted output.
+ */
+function formatOutput(schema, statistics, employees, extras) {
+  return schema === "v2" ? formatV2Output(statistics, employees, extras) : formatCompatOutput(statistics, employees, extras);
+}
+
+/**
+ * JSON Schema of an Employee record.
+ */
+const EMPLOYEE_JSON_SCHEMA = {
+  type: "object",
+  required: ["name", "surname", "gender", "birthdate", "workload"],
+  properties: {
+    name: { type: "string" },
+    surname: { type: "string" },
+    gender: { type: "string" },
+    birthdate: { type: "string" },
+    workload: { type: "number" },
+    id: { type: "string" },
+    hireDate: { type: ["string", "null"] },
+    email: { type: "string" },
+    department: { type: "string" },
+    team: { type: ["string", "null"] },
+    isManager: { type: "boolean" },
+  },
+};
+
+/**
+ * JSON Schema of one group statistics block.
+ */
+const GROUP_JSON_SCHEMA = {
+  type: "object",
+  required: ["count", "averageAge", "minAge", "maxAge", "medianAge", "workloadCounts", "averageWorkload", "medianWorkload"],
+  properties: {
+    count: { type: "integer", minimum: 0 },
+    averageAge: { type: "number" },
+    minAge: { type: "number" },
+    maxAge: { type: "number" },
+    medianAge: { type: "number" },
+    workloadCounts: { type: "object", additionalProperties: { type: "integer", minimum: 0 } },
+    averageWorkload: { type: "number" },
+    medianWorkload: { type: "number" },
+    fte: { type: "number" },
+    payrollCost: { type: "number" },
+    averageCost: { type: "number" },
+  },
+};
+
+/**
+ * JSON Schema of overall compensation metrics.
+ */
+const COMPENSATION_JSON_SCHEMA = {
+  type: "object",
+  required: ["totalFte", "totalHours", "payrollCost", "averageCost", "costWeightedAverageAge", "costWeightedAverageWorkload", "currency"],
+  properties: {
+    totalFte: { type: "number" },
+    totalHours: { type: "number" },
+    payrollCost: { type: "number" },
+    averageCost: { type: "number" },
+    costWeightedAverageAge: { type: "number" },
+    costWeightedAverageWorkload: { type: "number" },
+    currency: { type: ["string", "null"] },
+  },
+};
+
+/**
+ * JSON Schema of one department or team (a group block with its manager and nested teams).
+ */
+const UNIT_JSON_SCHEMA = {
+  ...GROUP_JSON_SCHEMA,
+  required: [...GROUP_JSON_SCHEMA.required, "manager"],
+  properties: {
+    ...GROUP_JSON_SCHEMA.properties,
+    manager: { type: ["string", "null"] },
+    teams: { type: "object", additionalProperties: { $ref: "#/$defs/unit" } },
+  },
+};
+
+/**
+ * JSON Schema of descriptive statistics of one numeric field.
+ */
+const DESCRIPTION_JSON_SCHEMA = {
+  type: "object",
+  required: ["count", "mean", "min", "max", "median", "q1", "q3", "iqr", "variance", "stddev", "mode"],
+  properties: {
+    count: { type: "integer", minimum: 0 },
+    mean: { type: "number" },
+    min: { type: "number" },
+    max: { type: "number" },
+    median: { type: "number" },
+    q1: { type: "number" },
+    q3: { type: "number" },
+    iqr: { type: "number" },
+    variance: { type: "number" },
+    stddev: { type: "number" },
+    mode: { type: "number" },
+    percentiles: { type: "object", additionalProperties: { type: "number" } },
+    histogram: { type: "object", additionalProperties: { type: "integer", minimum: 0 } },
+  },
+};
+
+/**
+ * JSON Schema (draft 2020-12) of the "v2" output.
+ */
+const V2_JSON_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Employee statistics (v2)",
+  type: "object",
+  $defs: { unit: UNIT_JSON_SCHEMA },
+  required: [
+    "schemaVersion",
+    "total",
+    "workloadCounts",
+    "averageAge",
+    "minAge",
+    "maxAge",
+    "medianAge",
+    "medianWorkload",
+    "averageWomenWorkload",
+    "genders",
+    "sortedByWorkload",
+    "employees",
+  ],
+  properties: {
+    schemaVersion: { const: "v2" },
+    total: { type: "integer", minimum: 0, description: "Number of employees." },
+    workloadCounts: {
+      type: "object",
+      description: "Number of employees per workload value that appears.",
+      additionalProperties: { type: "integer", minimum: 0 },
+    },
+    averageAge: { type: "number", description: "Average age, 1 decimal place." },
+    minAge: { type: "number", description: "Age of the youngest employee (whole years, or 1 decimal place with agePolicy)." },
+    maxAge: { type: "number", description: "Age of the oldest employee (whole years, or 1 decimal place with agePolicy)." },
+    medianAge: { type: "number", description: "Median age (whole years, or 1 decimal place with agePolicy)." },
+    medianWorkload: { type: "number", description: "Median workload." },
+    averageWomenWorkload: { type: "number", description: "Average workload of women, 1 decimal place." },
+    genders: {
+      type: "object",
+      description: "Age and workload statistics per gender value that appears.",
+      additionalProperties: GROUP_JSON_SCHEMA,
+    },
+    sortedByWorkload: { type: "array", items: EMPLOYEE_JSON_SCHEMA, description: "Employees sorted by workload." },
+    employees: { type: "array", items: EMPLOYEE_JSON_SCHEMA, description: "Employees in input order." },
+    groups: {
+      type: "object",
+      description: "Statistics per group (only with the groupBy option).",
+      additionalProperties: GROUP_JSON_SCHEMA,
+    },
+    sortedEmployees: { type: "array", items: EMPLOYEE_JSON_SCHEMA, description: "Employees sorted by the sort option." },
+    ageStatistics: { ...DESCRIPTION_JSON_SCHEMA, description: "Descriptive age statistics (descriptive option)." },
+    workloadStatistics: { ...DESCRIPTION_JSON_SCHEMA, description: "Descriptive workload statistics (descriptive option)." },
+    departments: {
+      type: "object",
+      description: "Statistics rolled up per department and team (hierarchy option).",
+      additionalProperties: { $ref: "#/$defs/unit" },
+    },
+    compensation: { ...COMPENSATION_JSON_SCHEMA, description: "Payroll and FTE metrics (compensation option)." },
+    warnings: {
+      type: "array",
+      description: "Ignored or suspicious input (main only; strict validation throws instead).",
+      items: {
+        type: "object",
+        required: ["code", "path", "message"],
+        properties: {
+          code: { type: "string", description: "Machine-readable code (e.g. INVALID_SORT)." },
+          path: { type: "string", description: 'Path of the offending input (e.g. "age.max"; "" for dtoIn itself).' },
+          message: { type: "string", description: "Human-readable description." },
+        },
+      },
+    },
+    asOf: {
+      type: "string",
+      format: "date-time",
+      description: "Reference time of generation and ages; the same seed and asOf reproduce the run (main only).",
+    },
+    ageRange: {
+      type: "object",
+      description: "Age range the employees were generated in (main only).",
+      required: ["min", "max", "interval", "agePolicy", "bornAfter", "bornBefore"],
+      properties: {
+        min: { type: ["integer", "null"], description: "Minimum age (null if replaced by bornBefore)." },
+        max: { type: ["integer", "null"], description: "Maximum age (null if replaced by bornAfter)." },
+        interval: { enum: AGE_INTERVALS, description: "Ages allowed between min and max." },
+        agePolicy: { enum: AGE_POLICIES, description: "Ages the interval applies to." },
+        bornAfter: { type: "string", description: "Birthdates are after this day (YYYY-MM-DD)." },
+        bornBefore: { type: "string", description: "Birthdates are before this day (YYYY-MM-DD)." },
+      },
+    },
+  },
+};
+
+/**
+ * Get JSON Schema describing a versioned output schema.
+ * @param {string} [version] - Output schema version (only "v2" is described).
+ * @returns {object|null} JSON Schema (a copy), or null for unversioned schemas.
+ */
+function getOutputJsonSchema(version = "v2") {
+  return version === "v2" ? structuredClone(V2_JSON_SCHEMA) : null;
+}
+
+export { OUTPUT_SCHEMAS, DEFAULT_OUTPUT_SCHEMA, formatOutput, getOutputJsonSchema };
@@ -0,0 +1,223 @@
+/**
+ * Composable employee queries.
+ * A query is a plain object (JSON friendly) or a predicate function:
+ * - { gender: "female", age: { gte: 40 }, workload: { gte: 30 } } - all conditions must hold
+ * - { and: [q1, q2] }, { or: [q1, q2] }, { not: q } - alone in their object (mixed with fields, they are rejected)
+ * - { surname: { startsWith: "J" } }, { name: /^an/i }, { workload: [30, 40] }
+ * Ages use the same math as calculateAge.
+ */
+
+import { ValidationError } from "./errors.js";
+import { calculateAge, toTimestamp } from "./dates.js";
+
+/**
+ * Keys that combine sub-queries.
+ */
+const COMBINATORS = ["and", "or", "not"];
+
+/**
+ * Comparison operators of numeric conditions.
+ */
+const RANGE_OPERATORS = {
+  gte: (v, x) => v >= x,
+  gt: (v, x) => v > x,
+  lte: (v, x) => v <= x,
+  lt: (v, x) => v < x,
+};
+
+/**
+ * Operators of text conditions.
+ */
+const TEXT_OPERATORS = {
+  equals: (v, x) => v === x,
+  startsWith: (v, x) => v.startsWith(x),
+  endsWith: (v, x) => v.endsWith(x),
+  contains: (v, x) => v.includes(x),
+};
+
+/**
+ * Combine queries so that all of them must match.
+ * @param {...any} queries - Queries.
+ * @returns {object} AND query.
+ */
+function and(...queries) {
+  return { and: queries };
+}
+
+/**
+ * Combine queries so that at least one of them must match.
+ * @param {...any} queries - Queries.
+ * @returns {object} OR query.
+ */
+function or(...queries) {
+  return { or: queries };
+}
+
+/**
+ * Negate a query.
+ * @param {any} query - Query.
+ * @returns {object} NOT query.
+ */
+function not(query) {
+  return { not: query };
+}
+
+/**
+ * Create error for an invalid query part.
+ * @param {string} path - Path of the invalid part.
+ * @param {string} message - Description.
+ * @returns {ValidationError} Error with code INVALID_QUERY.
+ */
+function invalidQuery(path, message) {
+  return new ValidationError([{ code: "INVALID_QUERY", path, message }]);
+}
+
+/**
+ * Compile numeric condition: a value, a list of values or { gte, gt, lte, lt }.
+ * @param {any} spec - Condition.
+ * @param {string} path - Path for errors.
+ * @returns {(v: number) => boolean} Matcher.
+ */
+function compileNumberCondition(spec, path) {
+  if (typeof spec === "number") return (v) => v === spec;
+  if (Array.isArray(spec) && spec.every(Number.isFinite)) return (v) => spec.includes(v);
+
+  const ops = typeof spec === "object" && spec !== null ? Object.keys(spec) : [];
+  const valid = ops.length > 0 && ops.every((op) => Object.hasOwn(RANGE_OPERATORS, op) && Number.isFinite(spec[op]));
+  if (!valid) throw invalidQuery(path, "Expected a number, a list of numbers or { gte, gt, lte, lt }.");
+  return (v) => ops.every((op) => RANGE_OPERATORS[op](v, spec[op]));
+}
+
+/**
+ * Compile text condition: exact string, RegExp or { equals, startsWith, endsWith, contains, ignoreCase }.
+ * @param {any} spec - Condition.
+ * @param {string} path - Path for errors.
+ * @returns {(v: string) => boolean} Matcher.
+ */
+function compileTextCondition(spec, path) {
+  if (typeof spec === "string") return (v) => v === spec;
+  if (spec instanceof RegExp) {
+    // Without the g/y flags, test() keeps no state between employees.
+    const re = new RegExp(spec.source, spec.flags.replace(/[gy]/g, ""));
+    return (v) => re.test(v);
+  }
+
+  const ops = typeof spec === "object" && spec !== null ? Object.keys(spec).filter((k) => k !== "ignoreCase") : [];
+  const valid = ops.length > 0 && ops.every((op) => Object.hasOwn(TEXT_OPERATORS, op) && typeof spec[op] === "string");
+  if (!valid) throw invalidQuery(path, "Expected a string, a RegExp or { equals, startsWith, endsWith, contains }.");
+
+  const fold = spec.ignoreCase ? (t) => t.toLocaleLowerCase() : (t) => t;
+  return (v) => ops.every((op) => TEXT_OPERATORS[op](fold(v), fold(spec[op])));
+}
+
+/**
+ * Compile condition on gender: a value or a list of values.
+ * @param {any} spec - Condition.
+ * @param {string} path - Path for errors.
+ * @returns {(v: string) => boolean} Matcher.
+ */
+function compileGenderCondition(spec, path) {
+  const values = Array.isArray(spec) ? spec : [spec];
+  if (!values.every((v) => typeof v === "string")) throw invalidQuery(path, "Expected a gender or a list of genders.");
+  return (v) => values.includes(v);
+}
+
+/**
+ * Field conditions: how to compile a condition and read the value from an employee.
+ */
+const FIELD_CONDITIONS = {
+  gender: { compile: compileGenderCondition, get: (e) => e.gender },
+  name: { compile: compileTextCondition, get: (e) => String(e.name ?? "") },
+  surname: { compile: compileTextCondition, get: (e) => String(e.surname ?? "") },
+  workload: { compile: compileNumberCondition, get: (e) => Number(e.workload) },
+  age: { compile: compileNumberCondition, get: (e, now) => calculateAge(e.birthdate, now) },
+};
+
+/**
+ * Compile object with field conditions (all must hold).
+ * @param {object} query - Field conditions.
+ * @param {string} path - Path for errors.
+ * @param {number} now - Reference time for ages.
+ * @returns {(e: object) => boolean} Predicate.
+ */
+function compileFields(query, path, now) {
+  const matchers = Object.keys(query).map((field) => {
+    if (!Object.hasOwn(FIELD_CONDITIONS, field)) throw invalidQuery(`${path}.${field}`, `Unknown field "${field}".`);
+    const condition = FIELD_CONDITIONS[field];
+    const match = condition.compile(query[field], `${path}.${field}`);
+    return (e) => match(condition.get(e, now));
+  });
+  return (e) => matchers.every((m) => m(e));
+}
+
+/**
+ * Compile list of sub-queries of and/or.
+ * @param {any} list - Sub-queries.
+ * @param {string} path - Path for errors.
+ * @param {number} now - Reference time for ages.
+ * @returns {((e: object) => boolean)[]} Predicates.
+ */
+function compileList(list, path, now) {
+  if (!Array.isArray(list)) throw invalidQuery(path, "Expected a list of queries.");
+  return list.map((q, i) => compileNode(q, `${path}[${i}]`, now));
+}
+
+/**
+ * Compile one query node.
+ * @param {any} query - Query.
+ * @param {string} path - Path for errors.
+ * @param {number} now - Reference time for ages.
+ * @returns {(e: object) => boolean} Predicate.
+ */
+function compileNode(query, path, now) {
+  if (typeof query === "function") return (e) => Boolean(query(e, calculateAge(e.birthdate, now)));
+  if (typeof query !== "object" || query === null || Array.isArray(query)) {
+    throw invalidQuery(path, "Expected a query object or a function.");
+  }
+  const combinator = COMBINATORS.find((k) => k in query);
+  if (combinator && Object.keys(query).length > 1) {
+    throw invalidQuery(path, `"${combinator}" cannot be mixed with other keys; list the conditions inside "and".`);
+  }
+
+  if ("and" in query) {
+    const parts = compileList(query.and, `${path}.and`, now);
+    return (e) => parts.every((p) => p(e));
+  }
+  if ("or" in query) {
+    const parts = compileList(query.or, `${path}.or`, now);
+    return (e) => parts.some((p) => p(e));
+  }
+  if ("not" in query) {
+    const inner = compileNode(query.not, `${path}.not`, now);
+    return (e) => !inner(e);
+  }
+  return compileFields(query, path, now);
+}
+
+/**
+ * Compile a query into a predicate.
+ * @param {any} query - Query object or predicate function (employee, age) => boolean.
+ * @param {object} [options] - Optional settings.
+ * @param {string|number|Date} [options.asOf] - Reference date for ages (default: now).
+ * @param {string} [options.path] - Path used in error reports (default: "query").
+ * @returns {(employee: object) => boolean} Predicate.
+ * @throws {ValidationError} If the query is not valid (code INVALID_QUERY).
+ */
+function compileQuery(query, options = {}) {
+  const now = toTimestamp(options.asOf) ?? Date.now();
+  return compileNode(query, options.path ?? "query", now);
+}
+
+/**
+ * Filter employees by a query.
+ * @param {object[]} employees - Employees (not mutated).
+ * @param {any} query - Query (see compileQuery).
+ * @param {object} [options] - Options of compileQuery.
+ * @returns {object[]} Matching employees in input order.
+ * @throws {ValidationError} If the query is not valid.
+ */
+function filterEmployees(employees, query, options = {}) {
+  return employees.filter(compileQuery(query, options));
+}
+
+export { and, or, not, compileQuery, filterEmployees };
@@ -0,0 +1,89 @@
+/**
+ * Random number sources used by the generator.
+ * Without a seed everything falls back to Math.random().
+ */
+
+/**
+ * Hash a seed (number or string) into an unsigned 32-bit integer.
+ * Uses FNV-1a over the string form of the seed.
+ * @param {number|string} seed - Seed value.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a deterministic PRNG (mulberry32) from a seed.
+ * @param {number|string} seed - Seed value.
+ * @returns {() => number} Function returning floats in [0, 1).
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check whether a value can be used as a seed.
+ * @param {any} seed - Candidate seed.
+ * @returns {boolean} True for finite numbers and non-empty strings.
+ */
+function isValidSeed(seed) {
+  return (typeof seed === "number" && Number.isFinite(seed)) || (typeof seed === "string" && seed.length > 0);
+}
+
+/**
+ * Create random source for generation.
+ * @param {number|string|undefined} seed - Optional seed.
+ * @returns {() => number} Seeded PRNG, or Math.random when no valid seed is given.
+ */
+function createRandom(seed) {
+  return isValidSeed(seed) ? createSeededRandom(seed) : Math.random;
+}
+
+/**
+ * Build cumulative weights for weighted picking.
+ * @param {number[]} weights - Non-negative weights.
+ * @returns {number[]} Cumulative sums (last item is the total weight).
+ */
+function toCumulative(weights) {
+  const cumulative = [];
+  let total = 0;
+  for (const w of weights) {
+    total += w;
+    cumulative.push(total);
+  }
+  return cumulative;
+}
+
+/**
+ * Pick an index according to cumulative weights (binary search).
+ * @param {number[]} cumulative - Cumulative weights (see toCumulative).
+ * @param {() => number} rng - Random source.
+ * @returns {number} Picked index.
+ */
+function weightedIndex(cumulative, rng) {
+  const target = rng() * cumulative[cumulative.length - 1];
+  let lo = 0;
+  let hi = cumulative.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumulative[mid] > target) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+export { createRandom, createSeededRandom, hashSeed, isValidSeed, toCumulative, weightedIndex };
@@ -0,0 +1,127 @@
+/**
+ * Sorted multiset kept as a list of sorted blocks (insert, remove and k-th lookup
+ * without re-sorting). Used by the statistics accumulator for medians and sorted lists.
+ */
+
+/**
+ * Preferred block length; blocks are split at twice this size.
+ */
+const BLOCK_SIZE = 512;
+
+/**
+ * Find the first index in a sorted array whose item is not "before" value.
+ * @param {any[]} arr - Sorted array.
+ * @param {any} value - Searched value.
+ * @param {(a: any, b: any) => number} compare - Comparator.
+ * @param {boolean} [after] - Skip items equal to value (insert after equal items).
+ * @returns {number} Index in [0, arr.length].
+ */
+function bisect(arr, value, compare, after = false) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const c = compare(arr[mid], value);
+    if (c < 0 || (after && c === 0)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Get the last item of every block.
+ * @param {any[][]} blocks - Blocks.
+ * @returns {any[]} Last items (sorted).
+ */
+function lastItems(blocks) {
+  return blocks.map((b) => b[b.length - 1]);
+}
+
+/**
+ * Insert value after equal items.
+ * @param {{blocks: any[][], compare: Function}} state - List state.
+ * @param {any} value - Value.
+ * @returns {void}
+ */
+function insertItem({ blocks, compare }, value) {
+  if (blocks.length === 0) {
+    blocks.push([value]);
+    return;
+  }
+  const b = Math.min(bisect(lastItems(blocks), value, compare, true), blocks.length - 1);
+  const block = blocks[b];
+  block.splice(bisect(block, value, compare, true), 0, value);
+  if (block.length > 2 * BLOCK_SIZE) blocks.splice(b, 1, block.slice(0, BLOCK_SIZE), block.slice(BLOCK_SIZE));
+}
+
+/**
+ * Remove one item equal to value.
+ * @param {{blocks: any[][], compare: Function}} state - List state.
+ * @param {any} value - Value.
+ * @returns {boolean} True if an item was removed.
+ */
+function deleteItem({ blocks, compare }, value) {
+  const b = bisect(lastItems(blocks), value, compare);
+  if (b === blocks.length) return false;
+  const block = blocks[b];
+  const i = bisect(block, value, compare);
+  if (i === block.length || compare(block[i], value) !== 0) return false;
+
+  block.splice(i, 1);
+  if (block.length === 0) blocks.splice(b, 1);
+  return true;
+}
+
+/**
+ * Get item at sorted position.
+ * @param {any[][]} blocks - Blocks.
+ * @param {number} index - Position.
+ * @returns {any} Item, or undefined if out of range.
+ */
+function itemAt(blocks, index) {
+  let k = index;
+  for (const block of blocks) {
+    if (k < block.length) return block[k];
+    k -= block.length;
+  }
+  return undefined;
+}
+
+/**
+ * Create an empty sorted list.
+ * @param {(a: any, b: any) => number} [compare] - Comparator (numeric ascending by default).
+ * @returns {object} Sorted list with add, remove, at, first, last, size and iteration.
+ */
+function createSortedList(compare = (a, b) => a - b) {
+  const state = { blocks: [], compare };
+  let size = 0;
+
+  return {
+    get size() {
+      return size;
+    },
+    add(value) {
+      insertItem(state, value);
+      size++;
+    },
+    remove(value) {
+      const removed = deleteItem(state, value);
+      if (removed) size--;
+      return removed;
+    },
+    at(index) {
+      return index < 0 ? undefined : itemAt(state.blocks, index);
+    },
+    first() {
+      return state.blocks[0]?.[0];
+    },
+    last() {
+      return state.blocks.at(-1)?.at(-1);
+    },
+    *[Symbol.iterator]() {
+      for (const block of state.blocks) yield* block;
+    },
+  };
+}
+
+export { createSortedList };
@@ -0,0 +1,107 @@
+/**
+ * Multi-key sorting of employee lists (getEmployeeStatistics sort option).
+ * Ties keep the input order, so the result is always stable.
+ */
+
+import { birthDayOf } from "./dates.js";
+
+/**
+ * Sortable fields: numeric fields compare numerically, text fields with Intl.Collator.
+ */
+const SORT_FIELDS = {
+  workload: { type: "number", get: (e) => Number(e.workload) },
+  // Ages are defined by the birth day (see calculateAge), so people born on the same day are the same age;
+  // older people have earlier birth days, so ascending age is descending birth day.
+  age: { type: "number", get: (e) => -birthDayOf(e.birthdate) },
+  birthdate: { type: "number", get: (e) => Date.parse(e.birthdate) },
+  name: { type: "text", get: (e) => String(e.name ?? "") },
+  surname: { type: "text", get: (e) => String(e.surname ?? "") },
+  gender: { type: "text", get: (e) => String(e.gender ?? "") },
+};
+
+/**
+ * Parse one sort key: "surname", "-workload" (descending) or { field, order: "asc" | "desc" }.
+ * @param {any} key - Sort key.
+ * @returns {{field:string,desc:boolean}|null} Parsed key or null if not valid.
+ */
+function parseSortKey(key) {
+  if (typeof key === "string") {
+    const desc = key.startsWith("-");
+    const field = desc ? key.slice(1) : key;
+    return Object.hasOwn(SORT_FIELDS, field) ? { field, desc } : null;
+  }
+  if (typeof key !== "object" || key === null || !Object.hasOwn(SORT_FIELDS, key.field)) return null;
+  if (key.order !== undefined && key.order !== "asc" && key.order !== "desc") return null;
+  return { field: key.field, desc: key.order === "desc" };
+}
+
+/**
+ * Check a collation locale (a BCP 47 tag the runtime supports, e.g. "cs" or "de-AT").
+ * @param {any} locale - Locale.
+ * @returns {boolean} True for a usable locale.
+ */
+function isValidLocale(locale) {
+  if (typeof locale !== "string") return false;
+  try {
+    return Intl.Collator.supportedLocalesOf(locale).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize sort option into { keys, locale, limit }.
+ * Accepts "-workload", ["-workload", "surname"] or { by, locale, limit }.
+ * @param {any} spec - sort option.
+ * @returns {{keys:{field:string,desc:boolean}[],locale:string|undefined,limit:number|undefined}|null} Normalized spec or null if not valid.
+ */
+function normalizeSortSpec(spec) {
+  const box = typeof spec === "object" && spec !== null && !Array.isArray(spec) ? spec : { by: spec };
+  const by = Array.isArray(box.by) ? box.by : [box.by];
+  const keys = by.map(parseSortKey);
+
+  const limitOk = box.limit === undefined || (Number.isInteger(box.limit) && box.limit >= 0);
+  const localeOk = box.locale === undefined || isValidLocale(box.locale);
+  if (keys.length === 0 || keys.includes(null) || !limitOk || !localeOk) return null;
+  return { keys, locale: box.locale, limit: box.limit };
+}
+
+/**
+ * Compare values of one sort field; invalid numbers (NaN) always go last.
+ * @param {object} field - Field with type and sign (1 ascending, -1 descending).
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ * @param {Intl.Collator} collator - Collator for text fields.
+ * @returns {number} Comparison result.
+ */
+function compareField(field, a, b, collator) {
+  if (field.type === "text") return field.sign * collator.compare(a, b);
+  if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) - Number.isNaN(b);
+  return field.sign * (a - b);
+}
+
+/**
+ * Sort employees by a normalized sort spec (see normalizeSortSpec).
+ * Sort keys are extracted once per employee; ties fall back to the input order.
+ * @param {object[]} employees - Employees (not mutated).
+ * @param {{keys:{field:string,desc:boolean}[],locale?:string,limit?:number}} spec - Normalized sort spec.
+ * @returns {object[]} Sorted employees (only the first `limit` ones if set).
+ */
+function sortEmployees(employees, spec) {
+  const collator = new Intl.Collator(spec.locale, { sensitivity: "variant", numeric: true });
+  const fields = spec.keys.map((k) => ({ ...SORT_FIELDS[k.field], sign: k.desc ? -1 : 1 }));
+  const items = employees.map((e, index) => ({ e, index, values: fields.map((f) => f.get(e)) }));
+
+  items.sort((a, b) => {
+    for (let i = 0; i < fields.length; i++) {
+      const c = compareField(fields[i], a.values[i], b.values[i], collator);
+      if (c !== 0) return c;
+    }
+    return a.index - b.index;
+  });
+
+  const sorted = items.map((item) => item.e);
+  return spec.limit === undefined ? sorted : sorted.slice(0, spec.limit);
+}
+
+export { SORT_FIELDS, normalizeSortSpec, sortEmployees };
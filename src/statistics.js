@@ -0,0 +1,194 @@
+/**
+ * Reusable descriptive statistics over numeric lists.
+ * Percentiles use linear interpolation between closest ranks, so the 50th
+ * percentile equals getMedianFromSorted.
+ */
+
+import { bandLabel } from "./grouping.js";
+
+/**
+ * Round number to 1 decimal place.
+ * @param {number} n - Input number.
+ * @returns {number} Rounded number.
+ */
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Sum all numbers in array.
+ * @param {number[]} arr - Numbers.
+ * @returns {number} Sum.
+ */
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Compute median from sorted numeric array.
+ * @param {number[]} sortedNums - Sorted array.
+ * @returns {number} Median value (0 if empty).
+ */
+function getMedianFromSorted(sortedNums) {
+  const n = sortedNums.length;
+  if (n === 0) return 0;
+  const mid = Math.floor(n / 2);
+  return n % 2 === 1 ? sortedNums[mid] : (sortedNums[mid - 1] + sortedNums[mid]) / 2;
+}
+
+/**
+ * Check percentile value.
+ * @param {any} p - Candidate percentile.
+ * @returns {boolean} True for numbers in [0, 100].
+ */
+function isPercentile(p) {
+  return Number.isFinite(p) && p >= 0 && p <= 100;
+}
+
+/**
+ * Compute percentile from sorted numeric array.
+ * @param {number[]} sortedNums - Sorted array.
+ * @param {number} p - Percentile in [0, 100].
+ * @returns {number} Percentile value (0 if empty).
+ */
+function getPercentileFromSorted(sortedNums, p) {
+  const n = sortedNums.length;
+  if (n === 0) return 0;
+
+  const rank = (Math.min(Math.max(p, 0), 100) / 100) * (n - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sortedNums[lo] + (sortedNums[hi] - sortedNums[lo]) * (rank - lo);
+}
+
+/**
+ * Compute population variance.
+ * @param {number[]} nums - Numbers.
+ * @returns {number} Variance (0 if empty).
+ */
+function getVariance(nums) {
+  const n = nums.length;
+  if (n === 0) return 0;
+  const mean = sum(nums) / n;
+  return sum(nums.map((v) => (v - mean) ** 2)) / n;
+}
+
+/**
+ * Compute the most frequent value (the lowest one on ties).
+ * @param {number[]} sortedNums - Sorted array.
+ * @returns {number} Mode (0 if empty).
+ */
+function getModeFromSorted(sortedNums) {
+  let mode = sortedNums.length ? sortedNums[0] : 0;
+  let best = 0;
+  let run = 0;
+
+  for (let i = 0; i < sortedNums.length; i++) {
+    run = i > 0 && sortedNums[i] === sortedNums[i - 1] ? run + 1 : 1;
+    if (run > best) {
+      best = run;
+      mode = sortedNums[i];
+    }
+  }
+  return mode;
+}
+
+/**
+ * Count values per band; every band is listed, empty ones with 0.
+ * @param {number[]} nums - Numbers.
+ * @param {number[]} edges - Ascending band edges (see bandLabel).
+ * @returns {Record<string, number>} Count per band label, in band order.
+ */
+function buildHistogram(nums, edges) {
+  const histogram = { [bandLabel(edges[0] - 1, edges)]: 0 };
+  for (const edge of edges) histogram[bandLabel(edge, edges)] = 0;
+  for (const v of nums) histogram[bandLabel(v, edges)] += 1;
+  return histogram;
+}
+
+/**
+ * Build workload histogram ordered by workload value.
+ * @param {Map<number, number>} counts - Count per workload value.
+ * @returns {Record<string, number>} workloadCounts - Count per workload value that appears.
+ */
+function buildWorkloadCounts(counts) {
+  const out = {};
+  for (const w of [...counts.keys()].sort((a, b) => a - b)) out[w] = counts.get(w);
+  return out;
+}
+
+/**
+ * Round an age statistic to 1 decimal place.
+ * @param {number} age - Age.
+ * @returns {number} Rounded age.
+ */
+function roundAge(age) {
+  return Number(age.toFixed(1));
+}
+
+/**
+ * Round age statistics as getEmployeeStatistics reports them: the average to 1 decimal place, and min, max
+ * and median too under an age policy; without one, min, max and median are truncated to whole years.
+ * @param {{average:number,min:number,max:number,median:number}|null} ages - Age statistics, or null without employees.
+ * @param {string|null} agePolicy - Age policy of the ages (see resolveAgePolicy in src/dates.js).
+ * @returns {{averageAge:number,minAge:number,maxAge:number,medianAge:number}} Rounded age statistics (zeros for null).
+ */
+function roundAgeStats(ages, agePolicy) {
+  if (!ages) return { averageAge: 0, minAge: 0, maxAge: 0, medianAge: 0 };
+  const whole = agePolicy ? roundAge : Math.floor;
+  return { averageAge: roundAge(ages.average), minAge: whole(ages.min), maxAge: whole(ages.max), medianAge: whole(ages.median) };
+}
+
+/**
+ * Compute full descriptive statistics of a numeric list.
+ * @param {number[]} nums - Numbers (e.g. ages or workloads).
+ * @param {object} [options] - Optional settings.
+ * @param {number[]} [options.percentiles] - Extra percentiles to report (e.g. [10, 90]).
+ * @param {number[]} [options.bins] - Histogram band edges (e.g. [25, 35, 45]).
+ * @param {(v: number) => number} [options.bucket] - Maps values before mode and histogram (e.g. Math.floor for ages).
+ * @returns {object} description - count, mean, min, max, median, q1, q3, iqr, variance, stddev, mode,
+ * optional percentiles and histogram; decimals rounded to 1 place.
+ */
+function describe(nums, options = {}) {
+  const { percentiles = [], bins, bucket = (v) => v } = options;
+  const sorted = [...nums].sort((a, b) => a - b);
+  const n = sorted.length;
+  const q1 = getPercentileFromSorted(sorted, 25);
+  const q3 = getPercentileFromSorted(sorted, 75);
+  const variance = getVariance(sorted);
+
+  const description = {
+    count: n,
+    mean: n ? round1(sum(sorted) / n) : 0,
+    min: n ? round1(sorted[0]) : 0,
+    max: n ? round1(sorted[n - 1]) : 0,
+    median: round1(getMedianFromSorted(sorted)),
+    q1: round1(q1),
+    q3: round1(q3),
+    iqr: round1(q3 - q1),
+    variance: round1(variance),
+    stddev: round1(Math.sqrt(variance)),
+    mode: getModeFromSorted(sorted.map(bucket)),
+  };
+
+  if (percentiles.length) {
+    description.percentiles = {};
+    for (const p of percentiles) description.percentiles[`p${p}`] = round1(getPercentileFromSorted(sorted, p));
+  }
+  if (bins) description.histogram = buildHistogram(sorted.map(bucket), bins);
+  return description;
+}
+
+export {
+  round1,
+  sum,
+  getMedianFromSorted,
+  getPercentileFromSorted,
+  isPercentile,
+  getVariance,
+  getModeFromSorted,
+  buildHistogram,
+  buildWorkloadCounts,
+  roundAgeStats,
+  describe,
+};
@@ -0,0 +1,102 @@
+/**
+ * Streaming output of employees as NDJSON or CSV.
+ * Works with any (async) iterable of employees or of employee chunks, e.g. generateEmployees(),
+ * so memory use does not depend on the number of employees.
+ */
+
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { createWriteStream } from "node:fs";
+import { ValidationError } from "./errors.js";
+import { BOM, csvFields, toCsvLine } from "./csv.js";
+
+/**
+ * Supported stream formats.
+ */
+const STREAM_FORMATS = ["ndjson", "csv"];
+
+/**
+ * Check stream options.
+ * @param {object} options - Stream options.
+ * @returns {void}
+ * @throws {ValidationError} If the format is not supported.
+ */
+function assertStreamOptions(options) {
+  const format = options.format ?? "ndjson";
+  if (!STREAM_FORMATS.includes(format)) {
+    throw new ValidationError([
+      { code: "INVALID_FORMAT", path: "format", message: `"format" must be one of ${STREAM_FORMATS.join(", ")}.` },
+    ]);
+  }
+}
+
+/**
+ * Create CSV line writer. Columns follow the first employee (see employeesToCsv),
+ * so the header is written together with it.
+ * @param {object} options - { delimiter = ",", bom = false, columns = {} }.
+ * @returns {object} Writer with header(sample), line(employee) and started.
+ */
+function createCsvWriter(options) {
+  const { delimiter = ",", bom = false, columns = {} } = options;
+  let fields = null;
+  return {
+    get started() {
+      return fields !== null;
+    },
+    header(sample) {
+      fields = csvFields(sample);
+      return (bom ? BOM : "") + toCsvLine(fields.map((f) => columns[f] ?? f), delimiter) + "\r\n";
+    },
+    line(e) {
+      return toCsvLine(fields.map((f) => e[f]), delimiter);
+    },
+  };
+}
+
+/**
+ * Serialize employees to text, one piece per employee or chunk.
+ * @param {object} employees - (Async) iterable of employees or of employee arrays.
+ * @param {object} options - { format = "ndjson", delimiter = ",", bom = false, columns } (CSV options as in employeesToCsv).
+ * @yields {string} Text of one employee or chunk, including line endings.
+ * @returns {object} Async iterator of text pieces.
+ */
+async function* serializeEmployees(employees, options) {
+  const csv = options.format === "csv" ? createCsvWriter(options) : null;
+  const lineEnding = csv ? "\r\n" : "\n";
+
+  for await (const item of employees) {
+    const chunk = Array.isArray(item) ? item : [item];
+    if (chunk.length === 0) continue;
+    const head = csv && !csv.started ? csv.header(chunk[0]) : "";
+    yield head + chunk.map((e) => (csv ? csv.line(e) : JSON.stringify(e)) + lineEnding).join("");
+  }
+  if (csv && !csv.started) yield csv.header();
+}
+
+/**
+ * Create a readable text stream of employees in NDJSON (one JSON object per line) or CSV.
+ * @param {object} employees - (Async) iterable of employees or of employee arrays.
+ * @param {object} [options] - { format = "ndjson", delimiter, bom, columns }.
+ * @returns {Readable} Text stream.
+ * @throws {ValidationError} If the format is not supported.
+ */
+function createEmployeeStream(employees, options = {}) {
+  assertStreamOptions(options);
+  return Readable.from(serializeEmployees(employees, options), { objectMode: false });
+}
+
+/**
+ * Write employees to a file (path) or a writable stream, respecting backpressure.
+ * @param {object} employees - (Async) iterable of employees or of employee arrays.
+ * @param {string|import("node:stream").Writable} destination - File path or writable stream.
+ * @param {object} [options] - { format = "ndjson", delimiter, bom, columns }.
+ * @returns {Promise<void>} Resolves when everything is written.
+ * @throws {ValidationError} If the format is not supported.
+ */
+async function writeEmployees(employees, destination, options = {}) {
+  const source = createEmployeeStream(employees, options);
+  const target = typeof destination === "string" ? createWriteStream(destination, "utf8") : destination;
+  await pipeline(source, target);
+}
+
+export { STREAM_FORMATS, createEmployeeStream, writeEmployees };
@@ -0,0 +1,533 @@
+/**
+ * Validation of dtoIn for generateEmployeeData/main.
+ * In "lenient" mode (default) invalid input is ignored and reported as warnings;
+ * in "strict" mode it is rejected with a ValidationError.
+ */
+
+import { ValidationError } from "./errors.js";
+import { isValidSeed } from "./random.js";
+import { LOCALES } from "./locales.js";
+import { normalizeWorkloadSpec } from "./workloads.js";
+import { isValidGenderSpec } from "./genders.js";
+import { AGE_DISTRIBUTION_TYPES, resolveAgeSampler } from "./ageDistribution.js";
+import { MS_PER_DAY, AGE_POLICIES, AGE_INTERVALS, BIRTHDATE_FORMATS, isValidBirthdateFormat, birthDayOf, toTimestamp, isIsoDate } from "./dates.js";
+import { OUTPUT_SCHEMAS } from "./output.js";
+import { resolveGroupKey, isValidBands } from "./grouping.js";
+import { isPercentile } from "./statistics.js";
+import { normalizeSortSpec } from "./sorting.js";
+import { isValidExtraFields } from "./extraFields.js";
+import { isValidOrgSpec } from "./org.js";
+import { isValidCorrelations } from "./correlations.js";
+import { isValidCompensation } from "./compensation.js";
+import { compileQuery } from "./query.js";
+
+/**
+ * Keys holding the employee count, in order of precedence.
+ */
+const COUNT_KEYS = ["employeeCount", "personCount", "count"];
+
+/**
+ * Keys holding a nested age range object, in order of precedence.
+ */
+const RANGE_BOX_KEYS = ["ageRange", "age", "range"];
+
+/**
+ * Keys holding the minimum age, in order of precedence.
+ */
+const MIN_AGE_KEYS = ["min", "minAge", "ageMin", "from", "ageFrom", "fromAge", "lowerAge"];
+
+/**
+ * Keys holding the maximum age, in order of precedence.
+ */
+const MAX_AGE_KEYS = ["max", "maxAge", "ageMax", "to", "ageTo", "toAge", "upperAge"];
+
+/**
+ * Other top-level dtoIn keys understood by the generator.
+ */
+const OPTION_KEYS = ["seed", "asOf", "agePolicy", "ageInterval", "bornAfter", "bornBefore", "birthdateFormat", "unique", "locale", "dictionary", "workloads", "genders", "ageDistribution", "correlations", "validation", "outputSchema", "groupBy", "descriptive", "sort", "filter", "extraFields", "org", "hierarchy", "compensation"];
+
+/**
+ * Keys of dtoIn.dictionary.
+ */
+const DICTIONARY_KEYS = ["maleNames", "femaleNames", "neutralNames", "surnames", "femaleSurnames"];
+
+/**
+ * Supported validation modes.
+ */
+const VALIDATION_MODES = ["lenient", "strict"];
+
+/**
+ * Create issue object.
+ * @param {string} code - Issue code.
+ * @param {string} path - Input path.
+ * @param {string} message - Description.
+ * @param {"error"|"warning"} [level] - Errors are rejected in strict mode, warnings never are.
+ * @returns {object} issue - Issue with level.
+ */
+function issue(code, path, message, level = "error") {
+  return { code, path, message, level };
+}
+
+/**
+ * Check non-negative integer.
+ * @param {any} v - Value.
+ * @returns {boolean} True for integers >= 0.
+ */
+function isNonNegativeInt(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+/**
+ * Check plain object (not null, not array).
+ * @param {any} v - Value.
+ * @returns {boolean} True for objects.
+ */
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+/**
+ * Report keys of an object that are not in the allowed list.
+ * @param {object} box - Checked object.
+ * @param {string[]} allowed - Allowed keys.
+ * @param {string} prefix - Path prefix ("" or "age.").
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkUnknownKeys(box, allowed, prefix, issues) {
+  for (const k of Object.keys(box)) {
+    if (!allowed.includes(k)) issues.push(issue("UNKNOWN_KEY", prefix + k, `Unknown key "${k}" is ignored.`));
+  }
+}
+
+/**
+ * Validate employee count.
+ * @param {any} dtoIn - Input.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkCount(dtoIn, issues) {
+  if (!isPlainObject(dtoIn)) {
+    if (!isNonNegativeInt(dtoIn)) {
+      issues.push(issue("INVALID_COUNT", "", `Employee count must be a non-negative integer, got ${String(dtoIn)}.`));
+    }
+    return;
+  }
+
+  const keys = COUNT_KEYS.filter((k) => dtoIn[k] != null);
+  if (keys.length === 0) issues.push(issue("MISSING_COUNT", "count", "Employee count is missing, no employees are generated."));
+
+  for (const k of keys) {
+    if (!isNonNegativeInt(dtoIn[k])) {
+      issues.push(issue("INVALID_COUNT", k, `Employee count must be a non-negative integer, got ${JSON.stringify(dtoIn[k])}.`));
+    }
+  }
+  checkAliases(keys, "count", "", issues);
+}
+
+/**
+ * Warn about alias spellings and about aliases shadowed by a key with higher precedence.
+ * @param {string[]} keys - Present keys, in order of precedence.
+ * @param {string} canonical - Preferred key name.
+ * @param {string} prefix - Path prefix.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkAliases(keys, canonical, prefix, issues) {
+  keys.forEach((k, i) => {
+    if (i > 0) {
+      issues.push(issue("SHADOWED_KEY", prefix + k, `"${k}" is ignored because "${keys[0]}" is set.`, "warning"));
+    } else if (k !== canonical) {
+      issues.push(issue("ALIAS_KEY", prefix + k, `"${k}" is an alias, use "${canonical}" instead.`, "warning"));
+    }
+  });
+}
+
+/**
+ * Validate one age bound and return its effective value.
+ * @param {object} box - Range object.
+ * @param {string[]} keys - Candidate keys.
+ * @param {string} prefix - Path prefix.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {number|undefined} Effective bound or undefined.
+ */
+function checkAgeBound(box, keys, prefix, issues) {
+  const present = keys.filter((k) => box[k] !== undefined);
+  for (const k of present) {
+    if (!isNonNegativeInt(box[k])) {
+      issues.push(issue("INVALID_AGE", prefix + k, `Age must be a non-negative integer, got ${JSON.stringify(box[k])}.`));
+    }
+  }
+  checkAliases(present, keys[0], prefix, issues);
+  return present.map((k) => box[k]).find(isNonNegativeInt);
+}
+
+/**
+ * Validate age range (nested object or top-level bounds).
+ * @param {object} dtoIn - Input object.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkAgeRange(dtoIn, issues) {
+  const boxKeys = RANGE_BOX_KEYS.filter((k) => dtoIn[k] != null);
+  const boxKey = boxKeys[0];
+  const box = boxKey ? dtoIn[boxKey] : dtoIn;
+  const prefix = boxKey ? boxKey + "." : "";
+
+  checkAliases(boxKeys, "age", "", issues);
+  if (!isPlainObject(box)) {
+    issues.push(issue("INVALID_AGE_RANGE", boxKey, `Age range must be an object with "min" and "max".`));
+    return;
+  }
+  if (boxKey) checkUnknownKeys(box, [...MIN_AGE_KEYS, ...MAX_AGE_KEYS], prefix, issues);
+
+  const min = checkAgeBound(box, MIN_AGE_KEYS, prefix, issues);
+  const max = checkAgeBound(box, MAX_AGE_KEYS, prefix, issues);
+  if (min !== undefined && max !== undefined && max < min) {
+    issues.push(issue("INVERTED_AGE_RANGE", prefix + "max", `Maximum age ${max} is lower than minimum age ${min}.`));
+  }
+}
+
+/**
+ * Validate that a birth day lies between dtoIn.bornAfter and dtoIn.bornBefore.
+ * @param {object} dtoIn - Input object.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkBirthBounds(dtoIn, issues) {
+  const bornAfter = birthDayOf(dtoIn.bornAfter);
+  const bornBefore = birthDayOf(dtoIn.bornBefore);
+  if (bornAfter !== undefined && bornBefore !== undefined && bornBefore - bornAfter < 2 * MS_PER_DAY) {
+    issues.push(issue("INVERTED_BIRTH_RANGE", "bornBefore", `No birth day lies after ${dtoIn.bornAfter} and before ${dtoIn.bornBefore}.`));
+  }
+}
+
+/**
+ * Validate dtoIn.dictionary.
+ * @param {any} dictionary - Custom dictionary.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkDictionary(dictionary, issues) {
+  if (!isPlainObject(dictionary)) {
+    issues.push(issue("INVALID_DICTIONARY", "dictionary", "Dictionary must be an object with name lists."));
+    return;
+  }
+  checkUnknownKeys(dictionary, DICTIONARY_KEYS, "dictionary.", issues);
+
+  for (const k of DICTIONARY_KEYS) {
+    const list = dictionary[k];
+    const valid = Array.isArray(list) && list.length > 0 && list.every((v) => typeof v === "string" && v.length > 0);
+    if (list !== undefined && !valid) {
+      issues.push(issue("INVALID_DICTIONARY", "dictionary." + k, `"${k}" must be a non-empty list of strings.`));
+    }
+  }
+
+  const { surnames, femaleSurnames } = dictionary;
+  if (Array.isArray(surnames) && Array.isArray(femaleSurnames) && surnames.length !== femaleSurnames.length) {
+    issues.push(issue("INVALID_DICTIONARY", "dictionary.femaleSurnames", "Female surnames must match surnames one to one."));
+  }
+}
+
+/**
+ * Validate dtoIn.ageDistribution.
+ * @param {any} spec - Age distribution spec.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkAgeDistribution(spec, issues) {
+  const type = typeof spec === "string" ? spec : spec?.type;
+  if (!AGE_DISTRIBUTION_TYPES.includes(type)) {
+    issues.push(
+      issue("INVALID_AGE_DISTRIBUTION", "ageDistribution", `Age distribution must be one of ${AGE_DISTRIBUTION_TYPES.join(", ")}.`)
+    );
+  } else if (type === "histogram" && !resolveAgeSampler(spec, 0, Number.MAX_SAFE_INTEGER)) {
+    issues.push(issue("INVALID_AGE_DISTRIBUTION", "ageDistribution.bands", "Histogram needs at least one band with min < max."));
+  }
+}
+
+/**
+ * Check asOf value.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a valid date.
+ */
+function isValidDate(v) {
+  return toTimestamp(v) !== undefined;
+}
+
+/**
+ * Check age policy.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a known age policy.
+ */
+function isAgePolicy(v) {
+  return AGE_POLICIES.includes(v);
+}
+
+/**
+ * Check age interval.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a known age interval.
+ */
+function isAgeInterval(v) {
+  return AGE_INTERVALS.includes(v);
+}
+
+/**
+ * Check unique value.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a boolean or an object.
+ */
+function isValidUnique(v) {
+  return typeof v === "boolean" || isPlainObject(v);
+}
+
+/**
+ * Check locale name.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a built-in locale.
+ */
+function isKnownLocale(v) {
+  return typeof v === "string" && Object.hasOwn(LOCALES, v);
+}
+
+/**
+ * Check workloads spec.
+ * @param {any} v - Value.
+ * @returns {boolean} True if the spec can be used.
+ */
+function isValidWorkloads(v) {
+  return normalizeWorkloadSpec(v) !== null;
+}
+
+/**
+ * Check validation mode.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a supported mode.
+ */
+function isValidMode(v) {
+  return VALIDATION_MODES.includes(v);
+}
+
+/**
+ * Check output schema name.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a supported schema.
+ */
+function isValidOutputSchema(v) {
+  return OUTPUT_SCHEMAS.includes(v);
+}
+
+/**
+ * Check groupBy option.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a built-in grouping, band spec or function.
+ */
+function isValidGroupBy(v) {
+  return resolveGroupKey(v) !== null;
+}
+
+/**
+ * Validate dtoIn.filter (query).
+ * @param {any} filter - Query.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkFilter(filter, issues) {
+  try {
+    compileQuery(filter, { path: "filter" });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    issues.push(issue(error.code, error.path, error.issues[0].message));
+  }
+}
+
+/**
+ * Check boolean option.
+ * @param {any} v - Value.
+ * @returns {boolean} True for booleans.
+ */
+function isBoolean(v) {
+  return typeof v === "boolean";
+}
+
+/**
+ * Check descriptive option.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a boolean or { percentiles, ageBins, workloadBins } with valid values.
+ */
+function isValidDescriptive(v) {
+  if (typeof v === "boolean") return true;
+  if (!isPlainObject(v)) return false;
+  const percentilesOk = v.percentiles === undefined || (Array.isArray(v.percentiles) && v.percentiles.every(isPercentile));
+  const binsOk = [v.ageBins, v.workloadBins].every((bins) => bins === undefined || isValidBands(bins));
+  return percentilesOk && binsOk;
+}
+
+/**
+ * Check sort option.
+ * @param {any} v - Value.
+ * @returns {boolean} True for a valid sort spec.
+ */
+function isValidSort(v) {
+  return normalizeSortSpec(v) !== null;
+}
+
+/**
+ * Simple option checks: [key, predicate, code, message].
+ */
+const OPTION_CHECKS = [
+  ["seed", isValidSeed, "INVALID_SEED", "Seed must be a finite number or a non-empty string."],
+  ["asOf", isValidDate, "INVALID_DATE", "asOf must be a valid date."],
+  ["agePolicy", isAgePolicy, "INVALID_AGE_POLICY", `Age policy must be one of ${AGE_POLICIES.join(", ")}.`],
+  ["ageInterval", isAgeInterval, "INVALID_AGE_INTERVAL", `Age interval must be one of ${AGE_INTERVALS.join(", ")}.`],
+  ["bornAfter", isValidDate, "INVALID_DATE", "bornAfter must be a valid date."],
+  ["bornBefore", isValidDate, "INVALID_DATE", "bornBefore must be a valid date."],
+  ["birthdateFormat", isValidBirthdateFormat, "INVALID_BIRTHDATE_FORMAT", `Birthdate format must be one of ${BIRTHDATE_FORMATS.join(", ")} or { type, timeZone } with a known time zone.`],
+  ["unique", isValidUnique, "INVALID_UNIQUE", "unique must be a boolean or { birthdates, names }."],
+  ["locale", isKnownLocale, "UNKNOWN_LOCALE", "Unknown locale, using the default one."],
+  ["workloads", isValidWorkloads, "INVALID_WORKLOADS", "Workloads must be positive numbers or { value, weight } items."],
+  ["genders", isValidGenderSpec, "INVALID_GENDERS", "Genders must be distinct non-empty names or { value, weight, names } items."],
+  ["outputSchema", isValidOutputSchema, "INVALID_OUTPUT_SCHEMA", `Output schema must be one of ${OUTPUT_SCHEMAS.join(", ")}.`],
+  ["groupBy", isValidGroupBy, "INVALID_GROUP_BY", "groupBy must be a built-in grouping, { field, bands } or a function."],
+  ["descriptive", isValidDescriptive, "INVALID_DESCRIPTIVE", "descriptive must be a boolean or { percentiles, ageBins, workloadBins }."],
+  ["sort", isValidSort, "INVALID_SORT", 'sort must list known fields and a supported locale, e.g. { by: ["-workload", "surname"], locale: "cs", limit: 10 }.'],
+  ["correlations", isValidCorrelations, "INVALID_CORRELATIONS", "correlations must be { when, workloads, ageDistribution } rules; age distribution rules may test gender, name and surname only, workload rules also age."],
+  ["extraFields", isValidExtraFields, "INVALID_EXTRA_FIELDS", 'extraFields must list "id", "hireDate", "email" or be { id: "uuid" | "sequential", hireDate, email: { domain } }.'],
+  ["org", isValidOrgSpec, "INVALID_ORG", "org must list departments as names or { name, share, teams } with distinct names and positive shares."],
+  ["hierarchy", isBoolean, "INVALID_HIERARCHY", "hierarchy must be a boolean."],
+  ["compensation", isValidCompensation, "INVALID_COMPENSATION", "compensation must be a boolean or { fullTimeWorkload, hoursPerFte, salaryBands, currency }."],
+  ["validation", isValidMode, "INVALID_VALIDATION_MODE", `Validation mode must be one of ${VALIDATION_MODES.join(", ")}.`],
+];
+
+/**
+ * Validate remaining options (seed, asOf, unique, locale, dictionary, workloads, ...).
+ * @param {object} dtoIn - Input object.
+ * @param {object[]} issues - Issue accumulator.
+ * @returns {void}
+ */
+function checkOptions(dtoIn, issues) {
+  for (const [key, isValid, code, message] of OPTION_CHECKS) {
+    if (dtoIn[key] !== undefined && !isValid(dtoIn[key])) issues.push(issue(code, key, message));
+  }
+  if (dtoIn.dictionary !== undefined) checkDictionary(dtoIn.dictionary, issues);
+  if (dtoIn.ageDistribution !== undefined) checkAgeDistribution(dtoIn.ageDistribution, issues);
+  if (dtoIn.filter !== undefined) checkFilter(dtoIn.filter, issues);
+}
+
+/**
+ * Collect all issues of dtoIn.
+ * @param {any} dtoIn - Input.
+ * @returns {object[]} issues - Issues with level.
+ */
+function collectIssues(dtoIn) {
+  const issues = [];
+  checkCount(dtoIn, issues);
+  if (!isPlainObject(dtoIn)) return issues;
+
+  checkUnknownKeys(dtoIn, [...COUNT_KEYS, ...RANGE_BOX_KEYS, ...MIN_AGE_KEYS, ...MAX_AGE_KEYS, ...OPTION_KEYS], "", issues);
+  checkAgeRange(dtoIn, issues);
+  checkBirthBounds(dtoIn, issues);
+  checkOptions(dtoIn, issues);
+  return issues;
+}
+
+/**
+ * Resolve validation mode from input.
+ * @param {any} dtoIn - Input.
+ * @returns {"lenient"|"strict"} Validation mode.
+ */
+function resolveValidationMode(dtoIn) {
+  return isPlainObject(dtoIn) && dtoIn.validation === "strict" ? "strict" : "lenient";
+}
+
+/**
+ * Validate dtoIn.
+ * In strict mode invalid input throws; otherwise every problem is returned as a warning.
+ * @param {any} dtoIn - Input.
+ * @returns {import("./errors.js").ValidationIssue[]} warnings - Ignored or suspicious input.
+ * @throws {ValidationError} In strict mode, if dtoIn contains invalid or unknown input.
+ */
+function validateDtoIn(dtoIn) {
+  const issues = collectIssues(dtoIn);
+  const errors = issues.filter((i) => i.level === "error");
+  if (resolveValidationMode(dtoIn) === "strict" && errors.length > 0) {
+    throw new ValidationError(errors.map(({ level, ...rest }) => rest));
+  }
+  return issues.map(({ level, ...rest }) => rest);
+}
+
+/**
+ * Validate getEmployeeStatistics options (asOf, agePolicy, outputSchema, groupBy, filter, ...) like dtoIn options.
+ * @param {any} options - Statistics options.
+ * @returns {import("./errors.js").ValidationIssue[]} warnings - Ignored options.
+ * @throws {ValidationError} If options.validation is "strict" and an option is invalid.
+ */
+function validateStatisticsOptions(options) {
+  const issues = [];
+  if (isPlainObject(options)) checkOptions(options, issues);
+  const errors = issues.filter((i) => i.level === "error");
+  if (resolveValidationMode(options) === "strict" && errors.length > 0) {
+    throw new ValidationError(errors.map(({ level, ...rest }) => rest));
+  }
+  return issues.map(({ level, ...rest }) => rest);
+}
+
+/**
+ * Check an optional date field of an employee.
+ * @param {any} value - Field value.
+ * @returns {boolean} True for undefined, null or an ISO date string.
+ */
+function isOptionalDateString(value) {
+  return value === undefined || value === null || isIsoDate(value);
+}
+
+/**
+ * Validate one employee record.
+ * @param {any} e - Employee.
+ * @param {string} path - Path of the record (e.g. "[3]").
+ * @returns {object[]} issues - Issues without level.
+ */
+function checkEmployee(e, path) {
+  if (!isPlainObject(e)) return [{ code: "INVALID_EMPLOYEE", path, message: "Employee must be an object." }];
+
+  const issues = [];
+  for (const k of ["name", "surname", "gender"]) {
+    if (typeof e[k] !== "string" || e[k].length === 0) {
+      issues.push({ code: "INVALID_EMPLOYEE", path: `${path}.${k}`, message: `"${k}" must be a non-empty string.` });
+    }
+  }
+  if (!isIsoDate(e.birthdate)) {
+    issues.push({ code: "INVALID_BIRTHDATE", path: `${path}.birthdate`, message: `Invalid birthdate ${JSON.stringify(e.birthdate)} (expected an ISO date).` });
+  }
+  if (!Number.isFinite(e.workload) || e.workload < 0) {
+    issues.push({ code: "INVALID_WORKLOAD", path: `${path}.workload`, message: `Invalid workload ${typeof e.workload === "number" ? e.workload : JSON.stringify(e.workload)}.` });
+  }
+  if (!isOptionalDateString(e.hireDate)) {
+    issues.push({ code: "INVALID_HIRE_DATE", path: `${path}.hireDate`, message: `Invalid hire date ${JSON.stringify(e.hireDate)}.` });
+  }
+  return issues;
+}
+
+/**
+ * Validate a list of employee records (e.g. read from a file).
+ * @param {any} employees - Employee list.
+ * @returns {import("./errors.js").ValidationIssue[]} issues - One issue per invalid field.
+ */
+function validateEmployeeList(employees) {
+  if (!Array.isArray(employees)) return [{ code: "INVALID_EMPLOYEES", path: "", message: "Expected a list of employees." }];
+  return employees.flatMap((e, i) => checkEmployee(e, `[${i}]`));
+}
+
+export {
+  COUNT_KEYS,
+  RANGE_BOX_KEYS,
+  MIN_AGE_KEYS,
+  MAX_AGE_KEYS,
+  OPTION_KEYS,
+  validateDtoIn,
+  validateStatisticsOptions,
+  resolveValidationMode,
+  checkEmployee,
+  validateEmployeeList,
+};
@@ -0,0 +1,46 @@
+/**
+ * Workload values and weights used for generation.
+ */
+
+import { toCumulative } from "./random.js";
+
+/**
+ * Workload values used when dtoIn does not define any.
+ */
+const DEFAULT_WORKLOADS = [10, 20, 30, 40];
+
+/**
+ * Normalize dtoIn.workloads into { value, weight } items.
+ * Accepts numbers (weight 1) or { value, weight } items, e.g. [{ value: 40, weight: 60 }, 20].
+ * @param {any} spec - dtoIn.workloads.
+ * @returns {{value:number,weight:number}[]|null} Items, or null if the spec is not valid.
+ */
+function normalizeWorkloadSpec(spec) {
+  if (!Array.isArray(spec) || spec.length === 0) return null;
+
+  const items = spec.map((item) =>
+    typeof item === "number" ? { value: item, weight: 1 } : { value: item?.value, weight: item?.weight ?? 1 }
+  );
+  const valid = items.every(
+    (item) => Number.isFinite(item.value) && item.value > 0 && Number.isFinite(item.weight) && item.weight >= 0
+  );
+  if (!valid || items.every((item) => item.weight === 0)) return null;
+  return items;
+}
+
+/**
+ * Resolve workload values and optional weights.
+ * Invalid input falls back to DEFAULT_WORKLOADS with equal weights.
+ * @param {any} spec - dtoIn.workloads.
+ * @returns {{workloads:number[],workloadWeights:number[]|null}} Values and cumulative weights (null = uniform).
+ */
+function resolveWorkloads(spec) {
+  const items = normalizeWorkloadSpec(spec);
+  if (!items) return { workloads: DEFAULT_WORKLOADS, workloadWeights: null };
+
+  const weights = items.map((item) => item.weight);
+  const uniform = weights.every((w) => w === weights[0]);
+  return { workloads: items.map((item) => item.value), workloadWeights: uniform ? null : toCumulative(weights) };
+}
+
+export { DEFAULT_WORKLOADS, normalizeWorkloadSpec, resolveWorkloads };
@@ -325,6 +325,17 @@ export function compareEmpoyeeLists(testedList, expectedList){
 	}
 }
 
+/**
+ * Completed calendar years between two written dates, compared as "MM-DD" strings so
+ * it is independent of src/dates.js: someone born on 29 February turns a year older on 1 March.
+ * @param birthdate ISO date or timestamp; only its written date counts
+ * @param date ISO date or timestamp at midnight UTC
+ */
+export function completedYears(birthdate, date) {
+	const years = Number(date.slice(0, 4)) - Number(birthdate.slice(0, 4));
+	return birthdate.slice(5, 10) > date.slice(5, 10) ? years - 1 : years;
+}
+
 /**
  *
  * @param max
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, validateDtoIn, ValidationError } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING VALIDATION TESTS!!!");
+console.log("-----------------------------");
+
+/**
+ * Assert that strict generation fails with the given code and path.
+ * @param dtoIn
+ * @param code
+ * @param path
+ */
+function assertStrictError(dtoIn, code, path) {
+	assert.throws(
+		() => generateEmployeeData({ ...dtoIn, validation: "strict" }),
+		(error) => error instanceof ValidationError && error.issues.some((i) => i.code === code && i.path === path)
+	);
+}
+
+test('Testing that valid input passes strict validation without warnings', () => {
+	const dtoIn = { count: 10, age: { min: 19, max: 35 }, validation: "strict" };
+	assert.deepEqual(validateDtoIn(dtoIn), []);
+	assert.equal(generateEmployeeData(dtoIn).length, 10);
+});
+
+test('Testing that strict mode rejects invalid input', () => {
+	assertStrictError({ count: -1, age: { min: 19, max: 35 } }, "INVALID_COUNT", "count");
+	assertStrictError({ count: 2.5, age: { min: 19, max: 35 } }, "INVALID_COUNT", "count");
+	assertStrictError({ count: 5, age: { min: 40, max: 35 } }, "INVERTED_AGE_RANGE", "age.max");
+	assertStrictError({ count: 5, age: { min: 19, max: 35 }, cuont: 5 }, "UNKNOWN_KEY", "cuont");
+	assertStrictError({ count: 5, age: { min: 19, mx: 35 } }, "UNKNOWN_KEY", "age.mx");
+	assertStrictError({ age: { min: 19, max: 35 } }, "MISSING_COUNT", "count");
+});
+
+test('Testing that strict mode can be enabled through main options', () => {
+	assert.throws(() => main(-5, { validation: "strict" }), (error) => error.code === "INVALID_COUNT" && error.path === "count");
+});
+
+test('Testing that lenient mode returns warnings instead of throwing', () => {
+	const dtoOut = main({ count: 5, age: { min: 40, max: 35 }, cuont: 5 });
+	const codes = dtoOut.warnings.map((w) => w.code);
+	assert(codes.includes("INVERTED_AGE_RANGE"), 'Inverted range should be reported');
+	assert(codes.includes("UNKNOWN_KEY"), 'Unknown key should be reported');
+	assert.equal(dtoOut.total, 5);
+});
+
+test('Testing that alias spellings are reported as warnings only', () => {
+	const dtoIn = { employeeCount: 5, ageRange: { minAge: 20, maxAge: 30 }, validation: "strict" };
+	const codes = validateDtoIn(dtoIn).map((w) => w.path + ":" + w.code);
+	assert.deepEqual(codes.sort(), ["ageRange.maxAge:ALIAS_KEY", "ageRange.minAge:ALIAS_KEY", "ageRange:ALIAS_KEY", "employeeCount:ALIAS_KEY"]);
+	assert.equal(generateEmployeeData(dtoIn).length, 5);
+});
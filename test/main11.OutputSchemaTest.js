@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics, getOutputJsonSchema } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING OUTPUT SCHEMA TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const employees = generateEmployeeData({ count: 50, age: { min: 19, max: 35 }, seed: 1, asOf });
+
+test('Testing that compat schema stays the default', () => {
+	const dtoOut = getEmployeeStatistics(employees, { asOf });
+	assert.deepEqual(dtoOut, getEmployeeStatistics(employees, { asOf, outputSchema: "compat" }));
+	assert(dtoOut.hasOwnProperty('averageWorkloadFemales'));
+	assert(dtoOut.statistics.hasOwnProperty('sortedEmployeeListByWorkload'));
+});
+
+test('Testing that v2 schema has one key per metric and matches the compat values', () => {
+	const compat = getEmployeeStatistics(employees, { asOf });
+	const v2 = getEmployeeStatistics(employees, { asOf, outputSchema: "v2" });
+	const schema = getOutputJsonSchema("v2");
+
+	assert.deepEqual(Object.keys(v2).sort(), [...schema.required].sort());
+	assert.equal(v2.schemaVersion, "v2");
+	assert.equal(v2.total, compat.total);
+	assert.equal(v2.averageWomenWorkload, compat.averageWomenWorkload);
+	assert.deepEqual(v2.workloadCounts, compat.workloadCounts);
+	assert.deepEqual(v2.sortedByWorkload, compat.sortedByWorkload);
+});
+
+test('Testing that main forwards outputSchema', () => {
+	const dtoOut = main({ count: 10, age: { min: 19, max: 35 } }, { outputSchema: "v2" });
+	assert.equal(dtoOut.schemaVersion, "v2");
+	assert.deepEqual(dtoOut.warnings, []);
+});
+
+test('Testing that the schema declares every key of the main output', () => {
+	const dtoOut = main({ count: 10, age: { min: 19, max: 35 }, locale: "xx" }, { outputSchema: "v2" });
+	const { properties } = getOutputJsonSchema("v2");
+	assert.deepEqual(Object.keys(dtoOut).filter((k) => !(k in properties)), []);
+	assert.equal(properties.warnings.type, "array");
+	assert.deepEqual(Object.keys(dtoOut.warnings[0]).sort(), [...properties.warnings.items.required].sort());
+});
+
+test('Testing that getOutputJsonSchema returns a copy', () => {
+	getOutputJsonSchema().required.push("x");
+	assert(!getOutputJsonSchema().required.includes("x"));
+	assert.equal(getOutputJsonSchema("compat"), null);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING GROUP BY TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const employees = generateEmployeeData({ count: 200, age: { min: 19, max: 60 }, seed: 2, asOf });
+
+test('Testing that grouping by gender matches statistics of each subset', () => {
+	const dtoOut = getEmployeeStatistics(employees, { asOf, groupBy: "gender" });
+	assert.deepEqual(Object.keys(dtoOut.groups), ["female", "male"]);
+
+	for(const gender of ["female", "male"]){
+		const subset = getEmployeeStatistics(employees.filter((e) => e.gender === gender), { asOf });
+		const group = dtoOut.groups[gender];
+		assert.equal(group.count, subset.total);
+		assert.equal(group.averageAge, subset.averageAge);
+		assert.equal(group.medianAge, subset.medianAge);
+		assert.equal(group.minAge, subset.minAge);
+		assert.equal(group.maxAge, subset.maxAge);
+		assert.deepEqual(group.workloadCounts, subset.workloadCounts);
+	}
+	assert.deepEqual(dtoOut.statistics.groups, dtoOut.groups);
+});
+
+test('Testing grouping by age bands and by a custom key function', () => {
+	const byBand = getEmployeeStatistics(employees, { asOf, groupBy: { field: "age", bands: [25, 35, 45] } });
+	assert.deepEqual(Object.keys(byBand.groups).sort(), ["<25", "25-34", "35-44", "45+"].sort());
+	assert(byBand.groups["<25"].maxAge < 25);
+
+	const byInitial = getEmployeeStatistics(employees, { asOf, groupBy: (e) => e.surname[0] });
+	const total = Object.values(byInitial.groups).reduce((a, g) => a + g.count, 0);
+	assert.equal(total, employees.length);
+});
+
+test('Testing that workload groups report average workload', () => {
+	const dtoOut = getEmployeeStatistics(employees, { asOf, groupBy: "workload", outputSchema: "v2" });
+	for(const [workload, group] of Object.entries(dtoOut.groups)){
+		assert.equal(group.averageWorkload, Number(workload));
+	}
+});
+
+test('Testing that main forwards groupBy and invalid groupBy is reported', () => {
+	assert(main({ count: 20, age: { min: 19, max: 35 } }, { groupBy: "workloadBand" }).groups);
+	const dtoOut = main({ count: 20, age: { min: 19, max: 35 }, groupBy: "shoeSize" });
+	assert(!dtoOut.groups);
+	assert(dtoOut.warnings.some((w) => w.code === "INVALID_GROUP_BY"));
+
+	for (const groupBy of ["constructor", "toString", { field: "constructor", bands: [25] }]) {
+		assert(main({ count: 5, groupBy }).warnings.some((w) => w.code === "INVALID_GROUP_BY"), JSON.stringify(groupBy));
+		assert.throws(() => main({ count: 5, groupBy, validation: "strict" }), { code: "INVALID_GROUP_BY" });
+	}
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { getEmployeeStatistics } from "../main.js";
+import { describe, getPercentileFromSorted, getMedianFromSorted } from "../src/statistics.js";
+
+console.log("-----------------------------");
+console.log("STARTING DESCRIPTIVE STATISTICS TESTS!!!");
+console.log("-----------------------------");
+
+test('Testing descriptive statistics of a known list', () => {
+	const d = describe([1, 2, 2, 3, 4, 5, 6, 7, 8, 9], { percentiles: [10, 90], bins: [3, 6] });
+	assert.equal(d.count, 10);
+	assert.equal(d.mean, 4.7);
+	assert.equal(d.median, 4.5);
+	assert.equal(d.q1, 2.3);
+	assert.equal(d.q3, 6.8);
+	assert.equal(d.iqr, 4.5);
+	assert.equal(d.variance, 6.8);
+	assert.equal(d.stddev, 2.6);
+	assert.equal(d.mode, 2);
+	assert.deepEqual(d.percentiles, { p10: 1.9, p90: 8.1 });
+	assert.deepEqual(d.histogram, { "<3": 3, "3-5": 3, "6+": 4 });
+});
+
+test('Testing that the 50th percentile equals the median', () => {
+	const sorted = [1, 3, 4, 10];
+	assert.equal(getPercentileFromSorted(sorted, 50), getMedianFromSorted(sorted));
+});
+
+test('Testing descriptive option of getEmployeeStatistics', () => {
+	const asOf = "2020-06-15T00:00:00.000Z";
+	const employees = [
+		{ name: "Emma", surname: "Smith", gender: "female", birthdate: "2000-06-15T00:00:00.000Z", workload: 10 },
+		{ name: "John", surname: "Brown", gender: "male", birthdate: "1980-06-15T00:00:00.000Z", workload: 40 },
+		{ name: "Mia", surname: "White", gender: "female", birthdate: "1990-06-15T00:00:00.000Z", workload: 40 },
+	];
+	const dtoOut = getEmployeeStatistics(employees, { asOf, descriptive: { ageBins: [18, 25, 35], workloadBins: [20] } });
+	assert.equal(dtoOut.ageStatistics.median, 30);
+	assert.deepEqual(dtoOut.ageStatistics.histogram, { "<18": 0, "18-24": 1, "25-34": 1, "35+": 1 });
+	assert.equal(dtoOut.workloadStatistics.mode, 40);
+	assert.deepEqual(dtoOut.workloadStatistics.histogram, { "<20": 1, "20+": 2 });
+	assert(!getEmployeeStatistics(employees, { asOf }).ageStatistics);
+});
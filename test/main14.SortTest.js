@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, getEmployeeStatistics } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING SORT TESTS!!!");
+console.log("-----------------------------");
+
+const employees = [
+	{ name: "Eva", surname: "Šťastná", gender: "female", birthdate: "1990-01-01T00:00:00.000Z", workload: 40 },
+	{ name: "Adam", surname: "Svoboda", gender: "male", birthdate: "1980-01-01T00:00:00.000Z", workload: 40 },
+	{ name: "Jan", surname: "Černý", gender: "male", birthdate: "2000-01-01T00:00:00.000Z", workload: 20 },
+	{ name: "Anna", surname: "Svoboda", gender: "female", birthdate: "1985-01-01T00:00:00.000Z", workload: 40 },
+	{ name: "Petr", surname: "Cibulka", gender: "male", birthdate: "1995-01-01T00:00:00.000Z", workload: 20 },
+];
+
+test('Testing multi-key sort with Czech collation', () => {
+	const dtoOut = getEmployeeStatistics(employees, { sort: { by: ["-workload", "surname", "name"], locale: "cs" } });
+	const names = dtoOut.sortedEmployees.map((e) => e.name);
+	assert.deepEqual(names, ["Adam", "Anna", "Eva", "Petr", "Jan"]);
+});
+
+test('Testing sort by age and top-N', () => {
+	const dtoOut = getEmployeeStatistics(employees, { sort: { by: "age", limit: 2 } });
+	assert.deepEqual(dtoOut.sortedEmployees.map((e) => e.name), ["Jan", "Petr"]);
+	const desc = getEmployeeStatistics(employees, { sort: [{ field: "age", order: "desc" }] });
+	assert.equal(desc.sortedEmployees[0].name, "Adam");
+});
+
+test('Testing that ties keep the input order and default output is unchanged', () => {
+	const dtoOut = getEmployeeStatistics(employees, { sort: "workload" });
+	assert.deepEqual(dtoOut.sortedEmployees.map((e) => e.name), ["Jan", "Petr", "Eva", "Adam", "Anna"]);
+	assert.deepEqual(dtoOut.sortedByWorkload, getEmployeeStatistics(employees).sortedByWorkload);
+	assert(!getEmployeeStatistics(employees).sortedEmployees);
+});
+
+test('Testing that invalid sort spec is reported by main', () => {
+	const dtoOut = main({ count: 5, age: { min: 19, max: 35 }, sort: "shoeSize" });
+	assert(dtoOut.warnings.some((w) => w.code === "INVALID_SORT"));
+	assert(!dtoOut.sortedEmployees);
+
+	// Names of Object.prototype members are not fields.
+	for (const sort of ["constructor", "-toString", { by: [{ field: "hasOwnProperty" }] }]) {
+		assert(main({ count: 5, sort }).warnings.some((w) => w.code === "INVALID_SORT"), JSON.stringify(sort));
+		assert(!getEmployeeStatistics(employees, { sort }).sortedEmployees);
+	}
+});
+
+test('Testing that an unknown sort locale is reported instead of thrown', () => {
+	const sort = { by: "name", locale: "not a locale!!" };
+	assert(!getEmployeeStatistics(employees, { sort }).sortedEmployees);
+	assert(main({ count: 5, sort }).warnings.some((w) => w.code === "INVALID_SORT"));
+	assert.throws(() => main({ count: 5, sort, validation: "strict" }), { code: "INVALID_SORT" });
+});
+
+test('Testing that people born on the same day sort as the same age', () => {
+	const sameDay = [
+		{ name: "Late", surname: "A", gender: "male", birthdate: "1990-05-03T23:00:00.000Z", workload: 10 },
+		{ name: "Prague", surname: "B", gender: "female", birthdate: "1990-05-03T00:00:00.000+02:00", workload: 20 },
+		{ name: "Early", surname: "C", gender: "male", birthdate: "1990-05-03T01:00:00.000Z", workload: 30 },
+		{ name: "Older", surname: "D", gender: "female", birthdate: "1990-05-02", workload: 40 },
+	];
+	const dtoOut = getEmployeeStatistics(sameDay, { sort: ["age", "-workload"] });
+	assert.deepEqual(dtoOut.sortedEmployees.map((e) => e.name), ["Early", "Prague", "Late", "Older"]);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics, filterEmployees, and, or, not, ValidationError } from "../main.js";
+import { completedYears } from "./HelperFunctions.js";
+
+console.log("-----------------------------");
+console.log("STARTING QUERY TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const employees = generateEmployeeData({ count: 300, age: { min: 19, max: 65 }, seed: 12, asOf });
+
+/**
+ * Completed calendar years as of the fixed date.
+ * @param e
+ */
+function ageOf(e) {
+	return completedYears(e.birthdate, asOf);
+}
+
+test('Testing "women over 40 with workload >= 30"', () => {
+	const query = { gender: "female", age: { gte: 40 }, workload: { gte: 30 } };
+	const expected = employees.filter((e) => e.gender === "female" && ageOf(e) >= 40 && e.workload >= 30);
+	assert.deepEqual(filterEmployees(employees, query, { asOf }), expected);
+	assert(expected.length > 0);
+});
+
+test('Testing text patterns and AND/OR/NOT composition', () => {
+	const startsWithJ = filterEmployees(employees, { surname: { startsWith: "j", ignoreCase: true } });
+	assert.deepEqual(startsWithJ, employees.filter((e) => e.surname.startsWith("J")));
+
+	const query = or(and({ workload: [10, 20] }, not({ gender: "male" })), { name: /^Ja/ });
+	const expected = employees.filter((e) => ([10, 20].includes(e.workload) && e.gender !== "male") || e.name.startsWith("Ja"));
+	assert.deepEqual(filterEmployees(employees, query), expected);
+});
+
+test('Testing statistics over a filtered subset', () => {
+	const query = { gender: "female" };
+	const dtoOut = getEmployeeStatistics(employees, { asOf, filter: query });
+	const expected = getEmployeeStatistics(employees.filter((e) => e.gender === "female"), { asOf });
+	assert.deepEqual(dtoOut, expected);
+	assert.equal(main({ count: 50, age: { min: 19, max: 35 } }, { filter: { gender: "male" } }).averageWomenWorkload, 0);
+});
+
+test('Testing that invalid queries throw with a path', () => {
+	assert.throws(
+		() => filterEmployees(employees, { and: [{ gender: "female" }, { shoeSize: 42 }] }),
+		(error) => error instanceof ValidationError && error.code === "INVALID_QUERY" && error.path === "query.and[1].shoeSize"
+	);
+	assert.throws(() => getEmployeeStatistics(employees, { filter: { age: { over: 40 } }, validation: "strict" }), (error) => error.path === "filter.age");
+});
+
+test('Testing that an invalid filter follows the validation mode', () => {
+	const filter = { age: { over: 40 } };
+	assert.deepEqual(getEmployeeStatistics(employees, { asOf, filter }), getEmployeeStatistics(employees, { asOf }));
+
+	const dtoIn = { count: 20, age: { min: 19, max: 35 }, seed: 1, asOf };
+	const dtoOut = main(dtoIn, { filter });
+	assert.equal(dtoOut.total, 20);
+	assert.deepEqual(dtoOut.warnings.map((w) => [w.code, w.path]), [["INVALID_QUERY", "filter.age"]]);
+	assert.throws(() => main(dtoIn, { filter, validation: "strict" }), (error) => error instanceof ValidationError && error.path === "filter.age");
+});
+
+test('Testing that Object.prototype member names are not fields or operators', () => {
+	for (const query of [{ constructor: 1 }, { toString: "x" }, { workload: { constructor: 5 } }, { name: { toString: "x" } }]) {
+		assert.throws(() => filterEmployees(employees, query), { code: "INVALID_QUERY" }, JSON.stringify(query));
+		assert.deepEqual(getEmployeeStatistics(employees, { asOf, filter: query }), getEmployeeStatistics(employees, { asOf }));
+	}
+	assert.equal(main({ count: 5, seed: 1, asOf, filter: { constructor: 1 } }).warnings[0].code, "INVALID_QUERY");
+});
+
+test('Testing that combinators mixed with field conditions are rejected', () => {
+	for (const query of [{ gender: "female", and: [{ workload: 40 }] }, { or: [{ workload: 10 }], not: { gender: "male" } }, { or: [{ not: { gender: "male" }, name: "Jan" }] }]) {
+		assert.throws(() => filterEmployees(employees, query), { code: "INVALID_QUERY" }, JSON.stringify(query));
+	}
+});
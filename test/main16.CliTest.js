@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { run, EXIT_OK, EXIT_INVALID_INPUT, EXIT_USAGE } from "../src/cli.js";
+import { completedYears } from "./HelperFunctions.js";
+
+console.log("-----------------------------");
+console.log("STARTING CLI TESTS!!!");
+console.log("-----------------------------");
+
+/**
+ * In-memory I/O capturing the CLI output.
+ * @param files
+ */
+function createIo(files = {}) {
+	const io = { out: [], err: [], files };
+	io.stdout = (text) => io.out.push(text);
+	io.stderr = (text) => io.err.push(text);
+	io.readFile = async (path) => {
+		if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+		return files[path];
+	};
+	io.writeFile = async (path, text) => { files[path] = text; };
+	return io;
+}
+
+const asOf = "2020-06-15T00:00:00.000Z";
+
+test('Testing "generate" maps flags to dtoIn', async () => {
+	const io = createIo();
+	const code = await run(["generate", "--count", "500", "--min-age", "20", "--max-age", "60", "--seed", "7", "--as-of", asOf], io);
+	assert.equal(code, EXIT_OK);
+	const employees = JSON.parse(io.out[0]);
+	assert.equal(employees.length, 500);
+	for (const e of employees) {
+		const age = completedYears(e.birthdate, asOf);
+		assert(age >= 20 && age <= 60, `age ${age}`);
+	}
+
+	const again = createIo();
+	await run(["generate", "--count", "500", "--min-age", "20", "--max-age", "60", "--seed", "7", "--as-of", asOf, "-o", "out.json"], again);
+	assert.deepEqual(JSON.parse(again.files["out.json"]), employees);
+});
+
+test('Testing "stats" prints a table or JSON', async () => {
+	const gen = createIo();
+	await run(["generate", "--count", "50", "--seed", "1", "--as-of", asOf], gen);
+	const files = { "employees.json": gen.out[0] };
+
+	const table = createIo(files);
+	assert.equal(await run(["stats", "employees.json", "--as-of", asOf, "--group-by", "gender"], table), EXIT_OK);
+	assert.match(table.out[0], /^Metric\s+Value/);
+	assert.match(table.out[0], /total\s+50/);
+	assert.match(table.out[0], /female/);
+
+	const json = createIo(files);
+	assert.equal(await run(["stats", "employees.json", "--format", "json", "--as-of", asOf], json), EXIT_OK);
+	const stats = JSON.parse(json.out[0]);
+	assert.equal(stats.schemaVersion, "v2");
+	assert.equal(stats.total, 50);
+	assert.equal(stats.employees, undefined);
+});
+
+test('Testing "generate --genders" and the gender table of "stats"', async () => {
+	const io = createIo();
+	assert.equal(await run(["generate", "--count", "200", "--seed", "7", "--as-of", asOf, "--genders", "female:3,other:1", "-o", "g.json"], io), EXIT_OK);
+	const genders = new Set(JSON.parse(io.files["g.json"]).map((e) => e.gender));
+	assert.deepEqual(genders, new Set(["female", "other"]));
+
+	assert.equal(await run(["stats", "g.json", "--as-of", asOf], io), EXIT_OK);
+	assert.match(io.out[0], /^Gender\s+Count/m);
+	assert.match(io.out[0], /^other\s+\d+/m);
+	assert.equal(await run(["generate", "--count", "5", "--genders", "male:-1"], createIo()), EXIT_INVALID_INPUT);
+});
+
+test('Testing "generate --birthdate-format" and "--time-zone"', async () => {
+	const io = createIo();
+	assert.equal(await run(["generate", "--count", "5", "--seed", "7", "--as-of", asOf, "--birthdate-format", "date"], io), EXIT_OK);
+	assert(JSON.parse(io.out[0]).every((e) => /^\d{4}-\d{2}-\d{2}$/.test(e.birthdate)));
+
+	assert.equal(await run(["generate", "--count", "5", "--seed", "7", "--as-of", asOf, "--time-zone", "Asia/Kolkata"], io), EXIT_OK);
+	assert(JSON.parse(io.out[1]).every((e) => e.birthdate.endsWith("T00:00:00.000+05:30")));
+	assert.equal(await run(["generate", "--count", "5", "--time-zone", "Nowhere/Else"], createIo()), EXIT_INVALID_INPUT);
+});
+
+test('Testing "generate --born-after" and "--born-before"', async () => {
+	const io = createIo();
+	assert.equal(await run(["generate", "--count", "20", "--seed", "7", "--born-after", "1989-12-31", "--born-before", "2000-01-01", "--birthdate-format", "date"], io), EXIT_OK);
+	assert(JSON.parse(io.out[0]).every((e) => e.birthdate >= "1990-01-01" && e.birthdate <= "1999-12-31"));
+	assert.match(io.err[0], /^ageRange: .*"bornAfter":"1989-12-31","bornBefore":"2000-01-01"/);
+
+	// Exactly 30 as of 15 June 2020: born on 15 June 1990.
+	const closed = createIo();
+	assert.equal(await run(["generate", "--count", "5", "--as-of", asOf, "--min-age", "30", "--max-age", "30", "--age-interval", "[min,max]"], closed), EXIT_OK);
+	const employees = JSON.parse(closed.out[0]);
+	assert.equal(employees.length, 5);
+	assert(employees.every((e) => e.birthdate.slice(0, 10) === "1990-06-15" && completedYears(e.birthdate, asOf) === 30));
+	const ageRange = JSON.parse(closed.err[0].replace(/^ageRange: /, ""));
+	assert.equal(ageRange.interval, "[min,max]");
+	assert.deepEqual([ageRange.min, ageRange.max, ageRange.bornAfter, ageRange.bornBefore], [30, 30, "1990-06-14", "1990-06-16"]);
+	assert.equal(await run(["generate", "--count", "5", "--age-interval", "[min,max"], createIo()), EXIT_INVALID_INPUT);
+});
+
+test('Testing non-zero exit codes', async () => {
+	assert.equal(await run(["generate", "--count=-5"], createIo()), EXIT_INVALID_INPUT);
+	assert.equal(await run(["generate", "--count", "many"], createIo()), EXIT_INVALID_INPUT);
+	assert.equal(await run(["generate", "--count", "5", "--min-age", "60", "--max-age", "20"], createIo()), EXIT_INVALID_INPUT);
+	assert.equal(await run(["generate", "--bogus"], createIo()), EXIT_USAGE);
+	assert.equal(await run(["unknown"], createIo()), EXIT_USAGE);
+	assert.equal(await run(["toString"], createIo()), EXIT_USAGE);
+	assert.equal(await run(["constructor"], createIo()), EXIT_USAGE);
+	assert.equal(await run(["stats"], createIo()), EXIT_USAGE);
+	assert.equal(await run(["stats", "missing.json"], createIo()), EXIT_INVALID_INPUT);
+
+	const bad = createIo({ "bad.json": JSON.stringify([{ name: "A", surname: "B", gender: "male", birthdate: "nope", workload: 10 }]) });
+	assert.equal(await run(["stats", "bad.json"], bad), EXIT_INVALID_INPUT);
+	assert.match(bad.err[0], /\[0\]\.birthdate/);
+});
+
+test('Testing that invalid "stats" and "diff" flags exit with an error', async () => {
+	const roster = JSON.stringify([{ name: "A", surname: "B", gender: "male", birthdate: "1990-01-01", workload: 10 }]);
+	const cases = [
+		[["stats", "r.json", "--group-by", "bogus"], /INVALID_GROUP_BY/],
+		[["stats", "r.json", "--age-policy", "bogus"], /INVALID_AGE_POLICY/],
+		[["stats", "r.json", "--as-of", "garbage"], /INVALID_DATE/],
+		[["stats", "r.json", "--format", "json", "--schema", "bogus"], /INVALID_OUTPUT_SCHEMA/],
+		[["diff", "r.json", "r.json", "--age-policy", "bogus"], /INVALID_AGE_POLICY/],
+		[["diff", "r.json", "r.json", "--as-of", "garbage"], /INVALID_DATE/],
+	];
+	for (const [args, error] of cases) {
+		const io = createIo({ "r.json": roster });
+		assert.equal(await run(args, io), EXIT_INVALID_INPUT, args.join(" "));
+		assert.match(io.err.join("\n"), error);
+		assert.deepEqual(io.out, []);
+	}
+	assert.equal(await run(["stats", "r.json", "--group-by", "gender", "--age-policy", "exact", "--as-of", asOf], createIo({ "r.json": roster })), EXIT_OK);
+});
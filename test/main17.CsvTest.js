@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, employeesToCsv, statisticsToCsv, parseEmployeesCsv, ValidationError } from "../main.js";
+import { run, EXIT_OK, EXIT_INVALID_INPUT } from "../src/cli.js";
+import { text } from "node:stream/consumers";
+
+console.log("-----------------------------");
+console.log("STARTING CSV TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const employees = generateEmployeeData({ count: 100, seed: 3, asOf, locale: "cs" });
+
+test('Testing CSV round trip with ";" delimiter and BOM', () => {
+	const csv = employeesToCsv(employees, { delimiter: ";", bom: true });
+	assert(csv.startsWith("﻿name;surname;gender;birthdate;workload\r\n"));
+
+	const { employees: parsed, errors } = parseEmployeesCsv(csv);
+	assert.deepEqual(errors, []);
+	assert.deepEqual(parsed, employees);
+	assert.deepEqual(getEmployeeStatistics(parsed, { asOf }), getEmployeeStatistics(employees, { asOf }));
+});
+
+test('Testing quoting and header mapping', () => {
+	const tricky = [{ name: 'Anna "Ann"', surname: "Nováková; ml.", gender: "female", birthdate: "1990-01-02T00:00:00.000Z", workload: 20 },
+		{ name: "Line\nBreak", surname: " Spaced ", gender: "male", birthdate: "1980-05-06T00:00:00.000Z", workload: 40 }];
+	const columns = { name: "Jméno", surname: "Příjmení", gender: "Pohlaví", birthdate: "Datum narození", workload: "Úvazek" };
+	const csv = employeesToCsv(tricky, { delimiter: ";", columns });
+	assert(csv.includes('"Anna ""Ann"""'));
+	assert(csv.includes('"Nováková; ml."'));
+
+	const { employees: parsed } = parseEmployeesCsv(csv, { columns });
+	assert.equal(parsed[0].name, 'Anna "Ann"');
+	assert.equal(parsed[0].surname, "Nováková; ml.");
+	assert.equal(parsed[1].name, "Line\nBreak");
+
+	// Columns in a different order, headers in a different case.
+	const reordered = "WORKLOAD,Name,Surname,Gender,Birthdate\n30,Jan,Novák,male,1985-03-04\n";
+	assert.deepEqual(parseEmployeesCsv(reordered).employees, [{ name: "Jan", surname: "Novák", gender: "male", birthdate: "1985-03-04T00:00:00.000Z", workload: 30 }]);
+});
+
+test('Testing row-level errors', () => {
+	const csv = [
+		"name,surname,gender,birthdate,workload",
+		"Jan,Novák,male,1985-03-04,30",
+		"Eva,Nová,female,not a date,20",
+		"",
+		"Petr,Svoboda,male,1970-01-01,abc",
+		"Ivo,Dvořák,male,1971-01-01,40",
+	].join("\n");
+	const { employees: parsed, errors } = parseEmployeesCsv(csv);
+	assert.deepEqual(parsed.map((e) => e.name), ["Jan", "Ivo"]);
+	assert.deepEqual(errors.map((e) => [e.code, e.row, e.path]), [
+		["INVALID_BIRTHDATE", 3, "[1].birthdate"],
+		["INVALID_WORKLOAD", 5, "[2].workload"],
+	]);
+	assert.match(errors[1].message, /^Line 5: Invalid workload "abc"\.$/);
+	assert.match(parseEmployeesCsv("name,surname,gender,birthdate,workload\nJan,Novák,male,1985-03-04,Infinity\n").errors[0].message, /"Infinity"/);
+
+	assert.throws(() => parseEmployeesCsv(csv, { validation: "strict" }), ValidationError);
+	assert.throws(() => parseEmployeesCsv("name,surname\nJan,Novák\n"), (e) => e.code === "MISSING_COLUMN");
+	assert.equal(parseEmployeesCsv('name,surname,gender,birthdate,workload\n"Jan,Novák,male,1985-03-04,30\n').errors[0].code, "UNTERMINATED_QUOTE");
+});
+
+test('Testing Czech Excel dates and non-ISO date cells', async () => {
+	const csv = [
+		"name;surname;gender;birthdate;workload;hireDate",
+		"Jan;Novák;male;3.5.1990;30;1. 9. 2015",
+		"Eva;Nová;female;13.05.1990;20;",
+		"Ivo;Dvořák;male;1971-01-01;40;",
+		"Petr;Svoboda;male;30.2.1990;40;",
+	].join("\n");
+	const { employees: parsed, errors } = parseEmployeesCsv(csv, { dateFormat: "d.M.yyyy" });
+	assert.deepEqual(parsed.map((e) => [e.birthdate, e.hireDate]), [
+		["1990-05-03T00:00:00.000Z", "2015-09-01T00:00:00.000Z"],
+		["1990-05-13T00:00:00.000Z", null],
+		["1971-01-01T00:00:00.000Z", null],
+	]);
+	assert.deepEqual(errors.map((e) => [e.code, e.row]), [["INVALID_BIRTHDATE", 5]]);
+
+	// Without the date format, only ISO dates are read; a date-time needs Z or an offset.
+	const iso = parseEmployeesCsv(csv.replace("1971-01-01", "1971-01-01T10:00"));
+	assert.deepEqual(iso.errors.map((e) => [e.code, e.row]), [["INVALID_BIRTHDATE", 2], ["INVALID_HIRE_DATE", 2], ["INVALID_BIRTHDATE", 3], ["INVALID_BIRTHDATE", 4], ["INVALID_BIRTHDATE", 5]]);
+	assert.match(iso.errors[0].message, /"3\.5\.1990"/);
+	assert.throws(() => parseEmployeesCsv(csv, { dateFormat: "M/d/yyyy" }), { code: "INVALID_DATE_FORMAT" });
+
+	const io = { stdout: (t) => io.out.push(t), stderr: () => {}, out: [], readFile: async () => csv };
+	assert.equal(await run(["stats", "e.csv", "--format", "json", "--date-format", "d.M.yyyy", "--as-of", asOf], io), EXIT_INVALID_INPUT);
+	assert.equal(await run(["stats", "e.csv", "--format", "json", "--date-format", "d.M.yyyy", "--as-of", asOf], { ...io, readFile: async () => csv.split("\n").slice(0, 4).join("\n") }), EXIT_OK);
+	assert.equal(JSON.parse(io.out[0]).total, 3);
+});
+
+test('Testing statistics CSV and CLI', async () => {
+	const stats = getEmployeeStatistics(employees, { asOf, outputSchema: "v2", groupBy: "gender" });
+	const lines = statisticsToCsv(stats).trim().split("\r\n");
+	assert.equal(lines[0], "metric,value");
+	assert(lines.includes(`total,${stats.total}`));
+	assert(lines.includes(`groups.female.count,${stats.groups.female.count}`));
+	assert(!lines.some((l) => l.startsWith("employees")));
+
+	const files = {};
+	const io = { stdout: (t) => io.out.push(t), stderr: () => {}, out: [], readFile: async (p) => files[p], writeFile: async (p, t) => { files[p] = typeof t === "string" ? t : await text(t); } };
+	assert.equal(await run(["generate", "--count", "20", "--seed", "5", "--format", "csv", "--delimiter", ";", "-o", "e.csv"], io), EXIT_OK);
+	assert.equal(await run(["stats", "e.csv", "--format", "csv"], io), EXIT_OK);
+	assert.match(io.out[0], /total,20/);
+});
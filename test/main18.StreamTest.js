@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import { PassThrough } from "node:stream";
+import { text } from "node:stream/consumers";
+
+import { generateEmployeeData, generateEmployees, createEmployeeStream, writeEmployees, parseEmployeesCsv, ValidationError } from "../main.js";
+import { LOCALES } from "../src/locales.js";
+
+console.log("-----------------------------");
+console.log("STARTING STREAM TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+
+test('Testing that streamed employees match generateEmployeeData', async () => {
+	const dtoIn = { count: 250, seed: 11, asOf };
+	const streamed = [];
+	for await (const e of generateEmployees(dtoIn)) streamed.push(e);
+	assert.deepEqual(streamed, generateEmployeeData(dtoIn));
+
+	const chunks = [];
+	for await (const chunk of generateEmployees(dtoIn, { chunkSize: 100 })) chunks.push(chunk);
+	assert.deepEqual(chunks.map((c) => c.length), [100, 100, 50]);
+	assert.deepEqual(chunks.flat(), streamed);
+});
+
+test('Testing that input is validated before iteration', () => {
+	assert.throws(() => generateEmployees({ count: 5, age: { min: 60, max: 20 }, validation: "strict" }), ValidationError);
+	assert.throws(() => generateEmployees({ count: 1e6, unique: { names: true } }), RangeError);
+});
+
+test('Testing surname coverage without post-processing', async () => {
+	const surnames = LOCALES.en.surnames;
+	for (const dtoIn of [{ count: surnames.length, seed: 1 }, { count: surnames.length, seed: 2, unique: { names: true } }]) {
+		const seen = new Set();
+		for await (const e of generateEmployees(dtoIn)) seen.add(e.surname);
+		assert.equal(seen.size, surnames.length);
+	}
+
+	const cs = generateEmployeeData({ count: LOCALES.cs.surnames.length, seed: 3, locale: "cs" });
+	const covered = new Set(cs.map((e) => Math.max(LOCALES.cs.surnames.indexOf(e.surname), LOCALES.cs.femaleSurnames.indexOf(e.surname))));
+	assert.equal(covered.size, LOCALES.cs.surnames.length);
+});
+
+test('Testing NDJSON and CSV output', async () => {
+	const dtoIn = { count: 120, seed: 5, asOf };
+	const expected = generateEmployeeData(dtoIn);
+
+	const target = new PassThrough();
+	const written = text(target);
+	await writeEmployees(generateEmployees(dtoIn, { chunkSize: 50 }), target);
+	const lines = (await written).trimEnd().split("\n");
+	assert.deepEqual(lines.map((l) => JSON.parse(l)), expected);
+
+	const csv = await text(createEmployeeStream(generateEmployees(dtoIn), { format: "csv", delimiter: ";", bom: true }));
+	assert.deepEqual(parseEmployeesCsv(csv).employees, expected);
+
+	assert.throws(() => createEmployeeStream([], { format: "xml" }), (e) => e.code === "INVALID_FORMAT");
+});
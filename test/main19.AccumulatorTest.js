@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, createStatisticsAccumulator, ValidationError } from "../main.js";
+import { createSortedList } from "../src/sortedList.js";
+
+console.log("-----------------------------");
+console.log("STARTING ACCUMULATOR TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+
+test('Testing sorted list against Array.sort', () => {
+	const list = createSortedList();
+	const values = [];
+	let x = 1;
+	for (let i = 0; i < 5000; i++) {
+		x = (x * 48271) % 2147483647;
+		const v = x % 300;
+		list.add(v);
+		values.push(v);
+		if (i % 3 === 0) {
+			const removed = values.splice(values.indexOf(values[i % values.length]), 1)[0];
+			assert(list.remove(removed));
+		}
+	}
+	values.sort((a, b) => a - b);
+	assert.deepEqual([...list], values);
+	assert.equal(list.size, values.length);
+	assert.equal(list.at(100), values[100]);
+	assert.equal(list.first(), values[0]);
+	assert.equal(list.last(), values.at(-1));
+	assert.equal(list.remove(1000), false);
+});
+
+test('Testing that the accumulator matches getEmployeeStatistics', () => {
+	const employees = generateEmployeeData({ count: 400, seed: 21, asOf });
+	const acc = createStatisticsAccumulator([], { asOf });
+	for (const e of employees) acc.add(e);
+	assert.deepEqual(acc.getStatistics(), getEmployeeStatistics(employees, { asOf }));
+	assert.deepEqual(acc.getStatistics({ outputSchema: "v2" }), getEmployeeStatistics(employees, { asOf, outputSchema: "v2" }));
+
+	// Remove by identity and by value, update in place.
+	const roster = [...employees];
+	assert(acc.remove(roster[5]));
+	roster.splice(5, 1);
+	assert(acc.remove({ ...roster[10] }));
+	roster.splice(10, 1);
+	const changed = { ...roster[20], workload: 10, birthdate: "1999-01-01T00:00:00.000Z" };
+	assert(acc.update(roster[20], changed));
+	roster[20] = changed;
+	assert.deepEqual(acc.getStatistics(), getEmployeeStatistics(roster, { asOf }));
+	assert.deepEqual(acc.employees(), roster);
+
+	assert.equal(acc.remove({ ...roster[0], name: "Nobody" }), false);
+	assert.equal(acc.size, roster.length);
+});
+
+test('Testing empty accumulator and invalid employees', () => {
+	const acc = createStatisticsAccumulator([], { asOf });
+	assert.deepEqual(acc.getStatistics(), getEmployeeStatistics([], { asOf }));
+	assert.throws(() => acc.add({ name: "A", surname: "B", gender: "male", birthdate: "nope", workload: 10 }), ValidationError);
+	assert.equal(acc.size, 0);
+});
+
+test('Testing that 100k roster updates are cheap', () => {
+	const employees = generateEmployeeData({ count: 100000, seed: 22, asOf });
+	const acc = createStatisticsAccumulator(employees, { asOf });
+	const start = Date.now();
+	for (let i = 0; i < 2000; i++) {
+		const e = employees[i];
+		acc.update(e, { ...e, workload: e.workload === 40 ? 10 : e.workload + 10 });
+	}
+	assert(Date.now() - start < 2000, 'Updates took '+(Date.now() - start)+' ms');
+	assert.equal(acc.size, 100000);
+});
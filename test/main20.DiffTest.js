@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, diffEmployees, formatDiffText, ValidationError } from "../main.js";
+import { run, EXIT_OK } from "../src/cli.js";
+
+console.log("-----------------------------");
+console.log("STARTING DIFF TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const lastMonth = generateEmployeeData({ count: 60, seed: 30, asOf, unique: { names: true } });
+const thisMonth = lastMonth.slice(2).map((e, i) => (i < 3 ? { ...e, workload: e.workload === 40 ? 10 : 40 } : e));
+const hired = generateEmployeeData({ count: 2, seed: 31, asOf, dictionary: { maleNames: ["Zed"], femaleNames: ["Zoe"], surnames: ["Newman"] } });
+thisMonth.push(...hired);
+
+test('Testing added, removed and changed employees', () => {
+	const report = diffEmployees(lastMonth, thisMonth, { asOf });
+	assert.deepEqual(report.removed, lastMonth.slice(0, 2));
+	assert.deepEqual(report.added, hired);
+	assert.equal(report.changed.length, 3);
+	assert.equal(report.unchanged, 60 - 2 - 3);
+
+	const c = report.changed[0];
+	assert.deepEqual(Object.keys(c.changes), ["workload"]);
+	assert.equal(c.changes.workload.before, lastMonth[2].workload);
+	assert.equal(c.key, `${lastMonth[2].name} ${lastMonth[2].surname} ${lastMonth[2].birthdate}`);
+});
+
+test('Testing statistics delta', () => {
+	const { statistics } = diffEmployees(lastMonth, thisMonth, { asOf });
+	const before = getEmployeeStatistics(lastMonth, { asOf, outputSchema: "v2" });
+	const after = getEmployeeStatistics(thisMonth, { asOf, outputSchema: "v2" });
+
+	assert.deepEqual(statistics.total, { before: 60, after: 60, delta: 0 });
+	assert.equal(statistics.averageAge.delta, Math.round((after.averageAge - before.averageAge) * 10) / 10);
+	assert.equal(statistics.workload40.delta, (after.workloadCounts[40] ?? 0) - (before.workloadCounts[40] ?? 0));
+	for (const metric of ["averageAge", "minAge", "maxAge", "medianAge", "medianWorkload", "averageWomenWorkload"]) {
+		assert(metric in statistics, metric);
+	}
+
+	// Per-gender deltas, including a gender that appears only in the current list.
+	for (const g of ["female", "male"]) {
+		assert.equal(statistics[`genders.${g}.count`].delta, after.genders[g].count - before.genders[g].count);
+		assert.equal(statistics[`genders.${g}.averageAge`].delta, Math.round((after.genders[g].averageAge - before.genders[g].averageAge) * 10) / 10);
+		assert.equal(statistics[`genders.${g}.averageWorkload`].after, after.genders[g].averageWorkload);
+	}
+	const other = { name: "Alex", surname: "Newman", gender: "other", birthdate: "1990-06-15T00:00:00.000Z", workload: 30 };
+	const withOther = diffEmployees(lastMonth, [...thisMonth, other], { asOf }).statistics;
+	assert.deepEqual(withOther["genders.other.count"], { before: 0, after: 1, delta: 1 });
+	assert.deepEqual(withOther["genders.other.averageAge"], { before: 0, after: 30, delta: 30 });
+});
+
+test('Testing identity key options', () => {
+	// Keyed by name + surname only, a changed birthdate is a change, not a removal + addition.
+	const moved = lastMonth.map((e, i) => (i === 0 ? { ...e, birthdate: "1990-01-01T00:00:00.000Z" } : e));
+	assert.equal(diffEmployees(lastMonth, moved, { asOf }).added.length, 1);
+	const byName = diffEmployees(lastMonth, moved, { asOf, key: ["name", "surname"] });
+	assert.deepEqual([byName.added.length, byName.removed.length, byName.changed.length], [0, 0, 1]);
+	assert.equal(diffEmployees(lastMonth, moved, { asOf, key: (e) => e.name + e.surname }).changed.length, 1);
+
+	assert.throws(() => diffEmployees(lastMonth, moved, { key: 42 }), ValidationError);
+});
+
+test('Testing text and CLI output', async () => {
+	const text = formatDiffText(diffEmployees(lastMonth, thisMonth, { asOf }));
+	assert.match(text, /^Employees: 60 -> 60 \(2 added, 2 removed, 3 changed\)/);
+	assert.match(text, /\+ Z(ed|oe) Newman/);
+	assert.match(text, /~ .*: workload \d+ -> \d+/);
+	assert.match(text, /workload40\s+\d+ -> \d+\s+\([+-]?\d+\)/);
+
+	const files = { "a.json": JSON.stringify(lastMonth), "b.json": JSON.stringify(thisMonth) };
+	const io = { out: [], stdout: (t) => io.out.push(t), stderr: () => {}, readFile: async (p) => files[p] };
+	assert.equal(await run(["diff", "a.json", "b.json", "--format", "json", "--as-of", asOf, "--key", "name,surname"], io), EXIT_OK);
+	assert.equal(JSON.parse(io.out[0]).changed.length, 3);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, employeesToCsv, parseEmployeesCsv, diffEmployees, validateDtoIn, ValidationError } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING EXTRA FIELDS TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+test('Testing that the default shape has five fields', () => {
+	for (const e of generateEmployeeData({ count: 20, seed: 1 })) {
+		assert.deepEqual(Object.keys(e), ["name", "surname", "gender", "birthdate", "workload"]);
+	}
+});
+
+test('Testing that extra fields do not change the base fields', () => {
+	const base = generateEmployeeData({ count: 50, seed: 40, asOf });
+	const rich = generateEmployeeData({ count: 50, seed: 40, asOf, extraFields: { id: "uuid", hireDate: true, email: true } });
+	assert.deepEqual(rich.map(({ id, hireDate, email, ...rest }) => rest), base);
+	assert.deepEqual(Object.keys(rich[0]), ["id", "name", "surname", "gender", "birthdate", "workload", "hireDate", "email"]);
+});
+
+test('Testing stable ids', () => {
+	const dtoIn = { count: 100, seed: 41, extraFields: ["id"] };
+	const ids = generateEmployeeData(dtoIn).map((e) => e.id);
+	assert(ids.every((id) => UUID.test(id)));
+	assert.equal(new Set(ids).size, ids.length);
+	assert.deepEqual(generateEmployeeData(dtoIn).map((e) => e.id), ids);
+	assert.notDeepEqual(generateEmployeeData({ ...dtoIn, seed: 42 }).map((e) => e.id), ids);
+
+	const sequential = generateEmployeeData({ count: 3, extraFields: { id: "sequential" } }).map((e) => e.id);
+	assert.deepEqual(sequential, ["EMP-000001", "EMP-000002", "EMP-000003"]);
+});
+
+test('Testing hire dates and emails', () => {
+	const employees = generateEmployeeData({ count: 300, seed: 43, asOf, locale: "cs", extraFields: { hireDate: true, email: { domain: "firma.cz" } } });
+	for (const e of employees) {
+		const hired = Date.parse(e.hireDate);
+		const eighteenth = String(Number(e.birthdate.slice(0, 4)) + 18) + e.birthdate.slice(4, 10);
+		assert(e.hireDate >= eighteenth, 'Hired before 18: '+e.birthdate+' '+e.hireDate);
+		assert(hired <= Date.parse(asOf));
+		assert.match(e.email, /^[a-z]+\.[a-z]+(\.\d+)?@firma\.cz$/);
+	}
+	assert.equal(new Set(employees.map((e) => e.email)).size, employees.length, 'Emails are unique');
+	const namesakes = generateEmployeeData({ count: 3, extraFields: ["email"], dictionary: { maleNames: ["Jan"], femaleNames: ["Jana"], surnames: ["Novák"] }, genders: ["male"] });
+	assert.deepEqual(namesakes.map((e) => e.email), ["jan.novak@example.com", "jan.novak.2@example.com", "jan.novak.3@example.com"]);
+	const dvorak = generateEmployeeData({ count: 1, extraFields: ["email"], dictionary: { maleNames: ["Jiří"], femaleNames: ["Jiřina"], surnames: ["Dvořák"] } })[0];
+	assert.match(dvorak.email, /^jiri(na)?\.dvora(k|kova)@example\.com$/);
+
+	// Nobody younger than 18 can have a hire date.
+	const young = generateEmployeeData({ count: 20, seed: 44, asOf, age: { min: 16, max: 17 }, extraFields: ["hireDate"] });
+	assert(young.every((e) => e.hireDate === null));
+});
+
+test('Testing hire dates on the 18th birthday', () => {
+	const bornOn = (day, next) => ({ count: 200, seed: 46, bornAfter: day, bornBefore: next, extraFields: ["hireDate"] });
+
+	// Everybody turns 18 at the start of 1 January 2018, so that is the only possible hire date.
+	const adults = generateEmployeeData({ ...bornOn("1999-12-31", "2000-01-02"), asOf: "2018-01-01T00:00:00.000Z" });
+	assert(adults.every((e) => e.hireDate === "2018-01-01T00:00:00.000Z"));
+	const minors = generateEmployeeData({ ...bornOn("1999-12-31", "2000-01-02"), asOf: "2017-12-31T23:59:59.999Z" });
+	assert(minors.every((e) => e.hireDate === null));
+
+	// Born on 29 February: 18 on 1 March of a common year.
+	const leap = generateEmployeeData({ ...bornOn("2000-02-28", "2000-03-01"), asOf: "2018-03-01T00:00:00.000Z" });
+	assert(leap.every((e) => e.hireDate === "2018-03-01T00:00:00.000Z"));
+	assert(generateEmployeeData({ ...bornOn("2000-02-28", "2000-03-01"), asOf: "2018-02-28T23:59:59.999Z" }).every((e) => e.hireDate === null));
+});
+
+test('Testing extra fields in validation, statistics, CSV and diff', () => {
+	assert.throws(() => generateEmployeeData({ count: 1, extraFields: { id: "guid" }, validation: "strict" }), ValidationError);
+	assert.equal(validateDtoIn({ count: 1, extraFields: ["phone"] })[0].code, "INVALID_EXTRA_FIELDS");
+
+	const employees = generateEmployeeData({ count: 40, seed: 45, asOf, extraFields: { id: "sequential", hireDate: true } });
+	const plain = employees.map(({ id, hireDate, ...rest }) => rest);
+	assert.deepEqual(getEmployeeStatistics(employees, { asOf, outputSchema: "v2" }).averageAge, getEmployeeStatistics(plain, { asOf, outputSchema: "v2" }).averageAge);
+
+	assert.deepEqual(parseEmployeesCsv(employeesToCsv(employees)).employees, employees);
+
+	// With ids, a renamed employee is a change rather than a removal and an addition.
+	const renamed = employees.map((e, i) => (i === 0 ? { ...e, surname: "Married" } : e));
+	const report = diffEmployees(employees, renamed, { asOf });
+	assert.deepEqual([report.added.length, report.removed.length, report.changed.length], [0, 0, 1]);
+	assert.equal(report.changed[0].key, "EMP-000001");
+});
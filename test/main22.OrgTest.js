@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics, getOutputJsonSchema, parseEmployeesCsv, employeesToCsv, validateDtoIn } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING ORG TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const org = [
+	{ name: "Engineering", share: 3, teams: ["Platform", { name: "Apps", teams: ["Web", "Mobile"] }] },
+	{ name: "Sales", share: 1 },
+];
+const employees = generateEmployeeData({ count: 201, seed: 50, asOf, org });
+
+test('Testing headcount shares and managers', () => {
+	const count = (department, team) => employees.filter((e) => e.department === department && (team === undefined || e.team === team)).length;
+	assert.equal(count("Engineering") + count("Sales"), 201);
+	assert.equal(count("Engineering"), 151);
+	assert.equal(count("Sales"), 50);
+
+	// A unit with teams keeps one seat for its manager and splits the rest.
+	assert.equal(count("Engineering", null), 1);
+	assert.equal(count("Engineering", "Apps"), 1);
+	assert.equal(count("Engineering", "Platform"), 75);
+	assert.equal(count("Engineering", "Apps / Web") + count("Engineering", "Apps / Mobile"), 74);
+
+	const managers = employees.filter((e) => e.isManager).map((e) => `${e.department}|${e.team}`).sort();
+	assert.deepEqual(managers, ["Engineering|Apps", "Engineering|Apps / Mobile", "Engineering|Apps / Web", "Engineering|Platform", "Engineering|null", "Sales|null"]);
+});
+
+test('Testing that org assignment does not change the base fields', () => {
+	const base = generateEmployeeData({ count: 201, seed: 50, asOf });
+	assert.deepEqual(employees.map(({ department, team, isManager, ...rest }) => rest), base);
+	assert.deepEqual(generateEmployeeData({ count: 201, seed: 50, asOf, org }), employees);
+});
+
+test('Testing statistics roll-up', () => {
+	const stats = getEmployeeStatistics(employees, { asOf, hierarchy: true, outputSchema: "v2" });
+	const eng = stats.departments.Engineering;
+	assert.equal(eng.count + stats.departments.Sales.count, stats.total);
+	assert.equal(eng.count, eng.teams.Apps.count + eng.teams.Platform.count + 1);
+	assert.equal(eng.teams.Apps.count, eng.teams.Apps.teams.Web.count + eng.teams.Apps.teams.Mobile.count + 1);
+
+	const sales = getEmployeeStatistics(employees.filter((e) => e.department === "Sales"), { asOf, outputSchema: "v2" });
+	assert.equal(stats.departments.Sales.averageAge, sales.averageAge);
+	assert.equal(stats.departments.Sales.medianWorkload, sales.medianWorkload);
+	const manager = employees.find((e) => e.isManager && e.department === "Sales");
+	assert.equal(stats.departments.Sales.manager, `${manager.name} ${manager.surname}`);
+
+	assert("departments" in getOutputJsonSchema().properties);
+	assert.equal(getEmployeeStatistics(employees, { asOf }).departments, undefined);
+
+	const byTeam = getEmployeeStatistics(employees, { asOf, groupBy: "team" }).groups;
+	assert.equal(byTeam["Engineering / Apps / Web"].count, eng.teams.Apps.teams.Web.count);
+
+	const dtoOut = main({ count: 30, seed: 51, org, hierarchy: true });
+	assert.equal(dtoOut.departments.Engineering.count + dtoOut.departments.Sales.count, 30);
+});
+
+test('Testing org spec validation and CSV', () => {
+	assert.equal(validateDtoIn({ count: 5, org: [{ name: "A", share: -1 }] })[0].code, "INVALID_ORG");
+	assert.equal(validateDtoIn({ count: 5, org: ["A", "A"] })[0].code, "INVALID_ORG");
+	assert.equal(validateDtoIn({ count: 5, org: { departments: ["A", { name: "B", teams: ["X"] }] } }).length, 0);
+
+	// Fewer employees than units: some units stay empty, nobody is lost.
+	assert.equal(generateEmployeeData({ count: 2, org }).length, 2);
+
+	assert.deepEqual(parseEmployeesCsv(employeesToCsv(employees)).employees, employees);
+});
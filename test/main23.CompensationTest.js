@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics, validateDtoIn } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING COMPENSATION TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const employees = [
+	{ name: "Emma", surname: "Smith", gender: "female", birthdate: "2000-06-15T00:00:00.000Z", workload: 20, hireDate: "2019-06-15T00:00:00.000Z" },
+	{ name: "John", surname: "Brown", gender: "male", birthdate: "1980-06-15T00:00:00.000Z", workload: 40, hireDate: "2005-06-15T00:00:00.000Z" },
+	{ name: "Mia", surname: "White", gender: "female", birthdate: "1960-06-15T00:00:00.000Z", workload: 10 },
+];
+
+test('Testing FTE, hours and payroll with age bands', () => {
+	const model = { fullTimeWorkload: 40, hoursPerFte: 40, salaryBands: [{ from: 0, salary: 30000 }, { from: 30, salary: 40000 }, { from: 50, salary: 50000 }], currency: "EUR" };
+	const { compensation } = getEmployeeStatistics(employees, { asOf, compensation: model, outputSchema: "v2" });
+	// FTE 0.5 + 1 + 0.25; costs 15000 + 40000 + 12500.
+	assert.deepEqual(compensation, {
+		totalFte: 1.75,
+		totalHours: 70,
+		payrollCost: 67500,
+		averageCost: 22500,
+		costWeightedAverageAge: Math.round(((15000*20 + 40000*40 + 12500*60) / 67500) * 10) / 10,
+		costWeightedAverageWorkload: Math.round(((15000*20 + 40000*40 + 12500*10) / 67500) * 10) / 10,
+		currency: "EUR",
+	});
+});
+
+test('Testing seniority bands and default model', () => {
+	const bySeniority = { fullTimeWorkload: 40, salaryBands: { by: "seniority", bands: [{ from: 0, salary: 20000 }, { from: 10, salary: 60000 }] } };
+	const { compensation } = getEmployeeStatistics(employees, { asOf, compensation: bySeniority, outputSchema: "v2" });
+	// Seniority 1, 15 and 0 (no hire date) years.
+	assert.equal(compensation.payrollCost, 20000*0.5 + 60000*1 + 20000*0.25);
+
+	const defaults = getEmployeeStatistics(employees, { asOf, compensation: true, outputSchema: "v2" }).compensation;
+	assert.equal(defaults.totalFte, 0.7);
+	assert.equal(defaults.totalHours, 28);
+	assert.equal(defaults.currency, null);
+	assert.equal(getEmployeeStatistics(employees, { asOf }).compensation, undefined);
+});
+
+test('Testing cost per group and department', () => {
+	const generated = generateEmployeeData({ count: 120, seed: 60, asOf, org: ["Sales", "Support"] });
+	const stats = getEmployeeStatistics(generated, { asOf, compensation: true, groupBy: "gender", hierarchy: true, outputSchema: "v2" });
+	const groups = Object.values(stats.groups);
+	const round2 = (n) => Math.round(n * 100) / 100;
+	assert.equal(round2(groups.reduce((s, g) => s + g.payrollCost, 0)), stats.compensation.payrollCost);
+	assert.equal(round2(stats.departments.Sales.fte + stats.departments.Support.fte), stats.compensation.totalFte);
+	for (const g of groups) assert.equal(g.averageCost, round2(g.payrollCost / g.count));
+});
+
+test('Testing compensation through main and validation', () => {
+	const dtoOut = main({ count: 20, seed: 61, compensation: true });
+	assert(dtoOut.compensation.payrollCost > 0);
+	assert.equal(dtoOut.statistics.compensation.totalFte, dtoOut.compensation.totalFte);
+	assert.equal(validateDtoIn({ count: 5, compensation: { hoursPerFte: -1 } })[0].code, "INVALID_COMPENSATION");
+	assert.equal(validateDtoIn({ count: 5, compensation: { salaryBands: { by: "height", bands: [{ from: 0, salary: 1 }] } } })[0].code, "INVALID_COMPENSATION");
+
+	// Misspelled keys are rejected instead of falling back to the default model.
+	assert.equal(validateDtoIn({ count: 5, compensation: { hoursPerFTE: 30 } })[0].code, "INVALID_COMPENSATION");
+	assert.equal(validateDtoIn({ count: 5, compensation: { salaryBands: { by: "age", band: [], bands: [{ from: 0, salary: 1 }] } } })[0].code, "INVALID_COMPENSATION");
+	assert.throws(() => main({ count: 5, compensation: { hoursPerFTE: 30 }, validation: "strict" }), { code: "INVALID_COMPENSATION" });
+	assert.equal(main({ count: 5, compensation: { hoursPerFTE: 30 } }).compensation, undefined);
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, createStatisticsAccumulator, validateDtoIn } from "../main.js";
+import { LOCALES } from "../src/locales.js";
+
+console.log("-----------------------------");
+console.log("STARTING GENDER TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const employees = [
+	{ name: "Emma", surname: "Smith", gender: "female", birthdate: "2000-06-15T00:00:00.000Z", workload: 20 },
+	{ name: "John", surname: "Brown", gender: "male", birthdate: "1980-06-15T00:00:00.000Z", workload: 40 },
+	{ name: "Alex", surname: "White", gender: "other", birthdate: "1990-06-15T00:00:00.000Z", workload: 10 },
+	{ name: "Sam", surname: "Taylor", gender: "other", birthdate: "1970-06-15T00:00:00.000Z", workload: 30 },
+];
+
+test('Testing that the gender ratio is followed', () => {
+	const genders = [{ value: "male", weight: 1 }, { value: "female", weight: 3 }];
+	const list = generateEmployeeData({ count: 4000, age: { min: 20, max: 60 }, seed: 7, genders });
+	const women = list.filter((e) => e.gender === "female").length;
+	assert(Math.abs(women / list.length - 0.75) < 0.03, `Testing that about 75 % are women (got ${women})`);
+});
+
+test('Testing extra gender values with their own and neutral name pools', () => {
+	const genders = ["male", "female", { value: "other", names: ["Quinn", "Avery"] }, "unspecified"];
+	const list = generateEmployeeData({ count: 400, age: { min: 20, max: 60 }, seed: "pools", locale: "cs", genders });
+	assert.deepEqual(new Set(list.map((e) => e.gender)), new Set(["male", "female", "other", "unspecified"]));
+
+	for (const e of list) {
+		if (e.gender === "other") assert(["Quinn", "Avery"].includes(e.name));
+		if (e.gender === "unspecified") assert(LOCALES.cs.neutralNames.includes(e.name));
+		// Only women take the female surname form.
+		const female = LOCALES.cs.femaleSurnames.includes(e.surname);
+		assert.equal(female, e.gender === "female", `${e.name} ${e.surname} (${e.gender})`);
+	}
+});
+
+test('Testing that zero-weight genders are not generated and unique names cover all genders', () => {
+	const genders = [{ value: "male", weight: 0 }, { value: "female", weight: 1 }, { value: "other", weight: 1 }];
+	const list = generateEmployeeData({ count: 120, age: { min: 20, max: 60 }, seed: 3, unique: { names: true }, genders });
+	assert(list.every((e) => e.gender !== "male"));
+	assert.equal(new Set(list.map((e) => `${e.name} ${e.surname}`)).size, list.length);
+
+	// 8 female and 8 neutral names times 8 surnames.
+	assert.throws(() => generateEmployeeData({ count: 129, unique: { names: true }, genders }), RangeError);
+});
+
+test('Testing that the default generation is unchanged by an explicit equal ratio', () => {
+	const dtoIn = { count: 50, age: { min: 20, max: 60 }, seed: 11, asOf };
+	assert.deepEqual(generateEmployeeData({ ...dtoIn, genders: ["male", "female"] }), generateEmployeeData(dtoIn));
+});
+
+test('Testing workload and age statistics per gender', () => {
+	const { genders } = getEmployeeStatistics(employees, { asOf, outputSchema: "v2" });
+	assert.deepEqual(Object.keys(genders), ["female", "male", "other"]);
+	assert.deepEqual(genders.other, {
+		count: 2,
+		averageAge: 40,
+		minAge: 30,
+		maxAge: 50,
+		medianAge: 40,
+		workloadCounts: { 10: 1, 30: 1 },
+		averageWorkload: 20,
+		medianWorkload: 20,
+	});
+	assert.equal(genders.female.averageWorkload, 20);
+
+	const compat = getEmployeeStatistics(employees, { asOf });
+	assert.deepEqual(compat.statistics.genders, genders);
+	assert.equal(compat.averageWorkloadWomen, 20);
+});
+
+test('Testing that the accumulator reports the same per-gender statistics', () => {
+	const acc = createStatisticsAccumulator(employees, { asOf, outputSchema: "v2" });
+	acc.remove(employees[1]);
+	acc.update(employees[2], { ...employees[2], workload: 40 });
+
+	const roster = [employees[0], { ...employees[2], workload: 40 }, employees[3]];
+	assert.deepEqual(acc.getStatistics().genders, getEmployeeStatistics(roster, { asOf, outputSchema: "v2" }).genders);
+	assert.equal(acc.getStatistics().genders.male, undefined);
+});
+
+test('Testing validation of genders', () => {
+	assert.deepEqual(validateDtoIn({ count: 5, genders: ["male", { value: "other", weight: 2, names: ["Kim"] }] }), []);
+	for (const genders of [[], ["male", "male"], [{ value: "" }], [{ value: "x", weight: -1 }], [{ value: "male", weight: 0 }], [{ value: "x", names: [] }]]) {
+		assert.equal(validateDtoIn({ count: 5, genders })[0]?.code, "INVALID_GENDERS", JSON.stringify(genders));
+	}
+	assert.throws(() => generateEmployeeData({ count: 5, genders: "all", validation: "strict" }), { code: "INVALID_GENDERS" });
+});
+
+test('Testing unique names when the name pools of genders overlap', () => {
+	const dictionary = { maleNames: ["Adam", "Jan"], femaleNames: ["Eva"], surnames: ["Black", "White"] };
+	const genders = ["male", "female", { value: "other", names: ["Adam", "Jan"] }];
+	// Adam, Jan and Eva times two surnames, whatever the gender.
+	const list = generateEmployeeData({ count: 6, seed: 5, unique: { names: true }, dictionary, genders });
+	assert.equal(new Set(list.map((e) => `${e.name} ${e.surname}`)).size, 6);
+	assert.throws(() => generateEmployeeData({ count: 7, unique: { names: true }, dictionary, genders }), RangeError);
+
+	// With female surname forms, women's pairs stay distinct from the shared male and "other" pairs.
+	const cs = ["male", "female", { value: "other", names: LOCALES.cs.maleNames }];
+	const capacity = (LOCALES.cs.maleNames.length + LOCALES.cs.femaleNames.length) * LOCALES.cs.surnames.length;
+	const czech = generateEmployeeData({ count: capacity, seed: 6, locale: "cs", unique: { names: true }, genders: cs });
+	assert.equal(new Set(czech.map((e) => `${e.name} ${e.surname}`)).size, capacity);
+	assert.throws(() => generateEmployeeData({ count: capacity + 1, locale: "cs", unique: { names: true }, genders: cs }), RangeError);
+});
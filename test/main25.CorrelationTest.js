@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, validateDtoIn } from "../main.js";
+import { calculateAge } from "../src/dates.js";
+
+console.log("-----------------------------");
+console.log("STARTING CORRELATION TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const now = Date.parse(asOf);
+
+test('Testing workloads that depend on age', () => {
+	const correlations = [
+		{ when: { age: { lt: 26 } }, workloads: [10] },
+		{ when: { age: { gte: 55 } }, workloads: [{ value: 20, weight: 3 }, { value: 40, weight: 1 }] },
+	];
+	const employees = generateEmployeeData({ count: 1000, age: { min: 18, max: 65 }, seed: 5, asOf, correlations });
+
+	for (const e of employees) {
+		const age = calculateAge(e.birthdate, now);
+		if (age < 26) assert.equal(e.workload, 10);
+		else if (age >= 55) assert([20, 40].includes(e.workload));
+	}
+
+	// The correlation shows up in the grouped statistics.
+	const { groups } = getEmployeeStatistics(employees, { asOf, groupBy: { field: "age", bands: [26, 55] }, outputSchema: "v2" });
+	const [young, middle, senior] = Object.values(groups);
+	assert.deepEqual(Object.keys(young.workloadCounts), ["10"]);
+	assert.deepEqual(Object.keys(middle.workloadCounts), ["10", "20", "30", "40"]);
+	assert(senior.workloadCounts[20] > 2 * senior.workloadCounts[40]);
+});
+
+test('Testing an age distribution that depends on gender, combined with workload rules', () => {
+	const correlations = [
+		{ when: { gender: "female" }, ageDistribution: { type: "normal", mean: 30, stddev: 3 } },
+		{ when: { and: [{ gender: "male" }, { age: { gte: 40 } }] }, workloads: [40] },
+	];
+	const employees = generateEmployeeData({ count: 1000, age: { min: 20, max: 60 }, seed: 9, asOf, correlations });
+	const { genders } = getEmployeeStatistics(employees, { asOf, outputSchema: "v2" });
+
+	assert(Math.abs(genders.female.averageAge - 30) < 1, `female average age ${genders.female.averageAge}`);
+	assert(genders.male.averageAge > 35, `male average age ${genders.male.averageAge}`);
+	for (const e of employees) {
+		if (e.gender === "male" && calculateAge(e.birthdate, now) >= 40) assert.equal(e.workload, 40);
+	}
+});
+
+test('Testing that rules which never match do not change the generated data', () => {
+	const dtoIn = { count: 100, age: { min: 20, max: 60 }, seed: "same", asOf };
+	const correlations = [{ when: { name: "Nobody" }, workloads: [10], ageDistribution: "normal" }];
+	assert.deepEqual(generateEmployeeData({ ...dtoIn, correlations }), generateEmployeeData(dtoIn));
+});
+
+test('Testing validation of correlations', () => {
+	assert.deepEqual(validateDtoIn({ count: 5, correlations: [{ when: { or: [{ gender: "female" }, { age: { lt: 30 } }] }, workloads: [10, 20] }] }), []);
+
+	const invalid = [
+		[],
+		[{ workloads: [10] }],
+		[{ when: { gender: "female" } }],
+		[{ when: { gender: "female" }, workloads: [-1] }],
+		[{ when: { gender: "female" }, ageDistribution: "lognormal" }],
+		[{ when: { age: { lt: 30 } }, ageDistribution: "normal" }],
+		[{ when: { workload: 10 }, workloads: [20] }],
+		[{ when: { height: 180 }, workloads: [20] }],
+		[{ when: { gender: "male" }, workloads: [20], weight: 2 }],
+		[{ when: { gender: "female", and: [{ name: "Eva" }] }, workloads: [20] }],
+		[{ when: { or: [{ gender: "female" }], age: { lt: 30 } }, ageDistribution: "normal" }],
+	];
+	for (const correlations of invalid) {
+		assert.equal(validateDtoIn({ count: 5, correlations })[0]?.code, "INVALID_CORRELATIONS", JSON.stringify(correlations));
+	}
+	assert.throws(() => generateEmployeeData({ count: 5, correlations: invalid[5], validation: "strict" }), { code: "INVALID_CORRELATIONS" });
+	// Lenient mode ignores invalid rules.
+	assert.equal(generateEmployeeData({ count: 5, correlations: invalid[5] }).length, 5);
+});
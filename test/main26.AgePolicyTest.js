@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics, createStatisticsAccumulator, validateDtoIn } from "../main.js";
+import { calculateAge, completedYears } from "../src/dates.js";
+
+console.log("-----------------------------");
+console.log("STARTING AGE POLICY TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const now = Date.parse(asOf);
+
+// Exact ages as of asOf: 19.5, 30 and 40.25 (92 of the 365 days since 15 March 2020).
+const employees = [
+	{ name: "Emma", surname: "Smith", gender: "female", birthdate: "2000-12-15T18:30:00.000Z", workload: 10 },
+	{ name: "John", surname: "Brown", gender: "male", birthdate: "1990-06-15T23:59:00.000Z", workload: 40 },
+	{ name: "Mia", surname: "White", gender: "female", birthdate: "1980-03-15T00:00:00.000Z", workload: 20 },
+];
+
+test('Testing calendar ages around birthdays', () => {
+	// Born late on the day: the 20th birthday starts at midnight, not 365.25 days later.
+	assert.equal(calculateAge("2000-06-15T20:00:00.000Z", now), 20);
+	assert.equal(completedYears(Date.parse("2000-06-15T20:00:00.000Z"), now - 1), 19);
+	assert.equal(calculateAge("2000-12-15T00:00:00.000Z", now), 19.5);
+});
+
+test('Testing calendar ages of people born on 29 February', () => {
+	const born = Date.parse("2000-02-29T12:00:00.000Z");
+	assert.equal(completedYears(born, Date.parse("2019-02-28T23:59:59.999Z")), 18);
+	assert.equal(completedYears(born, Date.parse("2019-03-01T00:00:00.000Z")), 19);
+	assert.equal(completedYears(born, Date.parse("2020-02-28T12:00:00.000Z")), 19);
+	assert.equal(completedYears(born, Date.parse("2020-02-29T00:00:00.000Z")), 20);
+	assert.equal(calculateAge("2000-02-29T12:00:00.000Z", Date.parse("2024-02-29T00:00:00.000Z")), 24);
+});
+
+test('Testing that the age policy applies to every age statistic', () => {
+	const pick = ({ averageAge, minAge, maxAge, medianAge }) => ({ averageAge, minAge, maxAge, medianAge });
+	const stats = (agePolicy) => getEmployeeStatistics(employees, { asOf, agePolicy, outputSchema: "v2", groupBy: "gender" });
+
+	assert.deepEqual(pick(stats()), { averageAge: 29.9, minAge: 19, maxAge: 40, medianAge: 30 });
+	assert.deepEqual(pick(stats("exact")), { averageAge: 29.9, minAge: 19.5, maxAge: 40.3, medianAge: 30 });
+	assert.deepEqual(pick(stats("truncated")), { averageAge: 29.7, minAge: 19, maxAge: 40, medianAge: 30 });
+	assert.deepEqual(pick(stats("rounded")), { averageAge: 30, minAge: 20, maxAge: 40, medianAge: 30 });
+
+	const rounded = stats("rounded");
+	assert.deepEqual(pick(rounded.groups.female), { averageAge: 30, minAge: 20, maxAge: 40, medianAge: 30 });
+	assert.deepEqual(pick(rounded.genders.female), pick(rounded.groups.female));
+	assert.deepEqual(pick(stats("exact").genders.female), { averageAge: 29.9, minAge: 19.5, maxAge: 40.3, medianAge: 29.9 });
+});
+
+test('Testing that the accumulator follows the age policy', () => {
+	for (const agePolicy of [undefined, "exact", "truncated", "rounded"]) {
+		const acc = createStatisticsAccumulator(employees, { asOf, agePolicy, outputSchema: "v2" });
+		assert.deepEqual(acc.getStatistics(), getEmployeeStatistics(employees, { asOf, agePolicy, outputSchema: "v2" }), String(agePolicy));
+	}
+});
+
+test('Testing that generated ages stay in the range under the age policy', () => {
+	for (const agePolicy of ["exact", "truncated", "rounded"]) {
+		const dtoOut = main({ count: 500, age: { min: 20, max: 30 }, seed: agePolicy, asOf, agePolicy });
+		assert(dtoOut.minAge >= 20 && dtoOut.maxAge < 30, `${agePolicy}: ${dtoOut.minAge}..${dtoOut.maxAge}`);
+	}
+
+	const rounded = generateEmployeeData({ count: 500, age: { min: 20, max: 30 }, seed: 4, asOf, agePolicy: "rounded" });
+	const ages = rounded.map((e) => calculateAge(e.birthdate, now));
+	assert(ages.every((age) => age >= 19.5 && age < 29.5));
+	assert(ages.some((age) => age < 20), 'Rounded ages include people just under 20');
+});
+
+test('Testing validation of the age policy', () => {
+	assert.equal(validateDtoIn({ count: 5, agePolicy: "floor" })[0].code, "INVALID_AGE_POLICY");
+	assert.throws(() => main({ count: 5, agePolicy: "floor", validation: "strict" }), { code: "INVALID_AGE_POLICY" });
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics, createStatisticsAccumulator, validateDtoIn } from "../main.js";
+import { calculateAge } from "../src/dates.js";
+import { parseEmployeesCsv, employeesToCsv } from "../src/csv.js";
+
+console.log("-----------------------------");
+console.log("STARTING BIRTHDATE FORMAT TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const now = Date.parse(asOf);
+const dtoIn = { count: 300, age: { min: 20, max: 30 }, seed: "formats", asOf };
+
+test('Testing date-only birthdates within the age range', () => {
+	const list = generateEmployeeData({ ...dtoIn, birthdateFormat: "date" });
+	for (const e of list) {
+		assert.match(e.birthdate, /^\d{4}-\d{2}-\d{2}$/);
+		const age = calculateAge(e.birthdate, now);
+		assert(age >= 20 && age < 30, `${e.birthdate}: ${age}`);
+	}
+	// The same days as the full timestamps of the same seed.
+	assert.deepEqual(list.map((e) => e.birthdate), generateEmployeeData(dtoIn).map((e) => e.birthdate.slice(0, 10)));
+});
+
+test('Testing midnight birthdates in a time zone', () => {
+	const list = generateEmployeeData({ ...dtoIn, birthdateFormat: { type: "midnight", timeZone: "Europe/Prague" } });
+	for (const e of list) {
+		assert.match(e.birthdate, /^\d{4}-\d{2}-\d{2}T00:00:00\.000\+0[12]:00$/);
+		const age = calculateAge(e.birthdate, now);
+		assert(age >= 20 && age < 30, `${e.birthdate}: ${age}`);
+	}
+	const offsets = new Set(list.map((e) => e.birthdate.slice(-6)));
+	assert.deepEqual(offsets, new Set(["+01:00", "+02:00"]), "Winter and summer time");
+
+	const utc = generateEmployeeData({ ...dtoIn, count: 5, birthdateFormat: "midnight" });
+	assert(utc.every((e) => e.birthdate.endsWith("T00:00:00.000Z")));
+});
+
+test('Testing that calculateAge takes the written date of every format', () => {
+	const at = Date.parse("2020-05-03T00:00:00.000Z");
+	for (const birthdate of ["1990-05-03", "1990-05-03T17:42:11.532Z", "1990-05-03T00:00:00.000+02:00", "1990-05-03T23:00:00.000-05:00"]) {
+		assert.equal(calculateAge(birthdate, at), 30, birthdate);
+	}
+	assert.equal(calculateAge(new Date("1990-05-03T12:00:00.000Z"), at), 30);
+	assert.equal(calculateAge("1990-05-04", at) < 30, true);
+	assert.equal(calculateAge("not a date", at), 0);
+});
+
+test('Testing unique day birthdates', () => {
+	const list = generateEmployeeData({ count: 365, age: { min: 30, max: 31 }, seed: 1, asOf, unique: true, birthdateFormat: "date" });
+	assert.equal(new Set(list.map((e) => e.birthdate)).size, 365);
+	assert.throws(() => generateEmployeeData({ count: 367, age: { min: 30, max: 31 }, asOf, unique: true, birthdateFormat: "date" }), RangeError);
+});
+
+test('Testing statistics, the accumulator and CSV with midnight birthdates', () => {
+	const list = generateEmployeeData({ ...dtoIn, count: 50, birthdateFormat: { type: "midnight", timeZone: "America/New_York" } });
+	const stats = getEmployeeStatistics(list, { asOf, outputSchema: "v2" });
+	assert.deepEqual(createStatisticsAccumulator(list, { asOf, outputSchema: "v2" }).getStatistics(), stats);
+	assert(stats.minAge >= 20 && stats.maxAge < 30);
+
+	const { employees } = parseEmployeesCsv(employeesToCsv(list));
+	assert.deepEqual(employees.map((e) => e.birthdate), list.map((e) => e.birthdate));
+});
+
+test('Testing validation of the birthdate format', () => {
+	assert.deepEqual(validateDtoIn({ count: 5, birthdateFormat: { type: "date" } }), []);
+	for (const birthdateFormat of ["local", { type: "midnight", timeZone: "Mars/Olympus" }, { timeZone: "UTC" }, 1]) {
+		assert.equal(validateDtoIn({ count: 5, birthdateFormat })[0]?.code, "INVALID_BIRTHDATE_FORMAT", JSON.stringify(birthdateFormat));
+	}
+	assert.throws(() => generateEmployeeData({ count: 5, birthdateFormat: "local", validation: "strict" }), { code: "INVALID_BIRTHDATE_FORMAT" });
+});
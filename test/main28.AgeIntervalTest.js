@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, validateDtoIn } from "../main.js";
+import { calculateAge } from "../src/dates.js";
+
+console.log("-----------------------------");
+console.log("STARTING AGE INTERVAL TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const now = Date.parse(asOf);
+const ages = (list) => list.map((e) => calculateAge(e.birthdate, now));
+
+test('Testing the default half-open age interval', () => {
+	const dtoOut = main({ count: 1000, age: { min: 20, max: 30 }, seed: 1, asOf });
+	assert.deepEqual(dtoOut.ageRange, {
+		min: 20,
+		max: 30,
+		interval: "[min,max)",
+		agePolicy: "exact",
+		bornAfter: "1990-06-15",
+		bornBefore: "2000-06-16",
+	});
+	assert(ages(dtoOut.employees).every((age) => age >= 20 && age < 30));
+});
+
+test('Testing the closed and whole-year age intervals', () => {
+	const dtoIn = { count: 1000, age: { min: 20, max: 30 }, seed: 2, asOf };
+
+	// Born on 15 June 1990: exactly 30 as of asOf.
+	const closed = generateEmployeeData({ ...dtoIn, ageInterval: "[min,max]", birthdateFormat: "date" });
+	assert(ages(closed).every((age) => age >= 20 && age <= 30));
+	assert.equal(main({ ...dtoIn, count: 1, age: { min: 30, max: 30 }, ageInterval: "[min,max]" }).employees[0].birthdate.slice(0, 10), "1990-06-15");
+
+	const wholeYears = main({ ...dtoIn, ageInterval: "[min,max+1)" });
+	assert.equal(wholeYears.ageRange.bornAfter, "1989-06-15");
+	assert(ages(wholeYears.employees).every((age) => age >= 20 && age < 31));
+	assert(ages(wholeYears.employees).some((age) => age >= 30), 'Testing that 30-year-olds are included');
+
+	// With whole-year ages, a closed interval is the same as [min,max+1).
+	const truncated = main({ ...dtoIn, agePolicy: "truncated", ageInterval: "[min,max]" });
+	assert.equal(truncated.ageRange.bornAfter, wholeYears.ageRange.bornAfter);
+	assert.equal(truncated.maxAge, 30);
+});
+
+test('Testing exact birth day bounds instead of ages', () => {
+	const dtoIn = { count: 1000, seed: 3, asOf, bornAfter: "1989-12-31", bornBefore: "2000-01-01" };
+	const dtoOut = main(dtoIn);
+	assert.deepEqual(dtoOut.ageRange, { min: null, max: null, interval: "[min,max)", agePolicy: "exact", bornAfter: "1989-12-31", bornBefore: "2000-01-01" });
+	assert(dtoOut.employees.every((e) => e.birthdate >= "1990-01-01" && e.birthdate < "2000-01-01"));
+
+	// An age distribution stays inside the dates; one date replaces one side of the age range.
+	const normal = generateEmployeeData({ ...dtoIn, ageDistribution: "normal", birthdateFormat: "date" });
+	assert(normal.every((e) => e.birthdate > "1989-12-31" && e.birthdate < "2000-01-01"));
+	const half = main({ count: 100, age: { min: 20, max: 60 }, seed: 3, asOf, bornBefore: "1990-01-01" });
+	assert.deepEqual([half.ageRange.min, half.ageRange.max, half.ageRange.bornBefore], [null, 60, "1990-01-01"]);
+	assert(half.employees.every((e) => e.birthdate < "1990-01-01"));
+});
+
+test('Testing that an empty birth range throws', () => {
+	assert.throws(() => generateEmployeeData({ count: 1, age: { min: 30, max: 30 }, asOf }), /no birthdate lies after 1990-06-15 and before 1990-06-16/);
+	assert.equal(generateEmployeeData({ count: 0, age: { min: 30, max: 30 }, asOf }).length, 0);
+});
+
+test('Testing validation of the age interval and birth day bounds', () => {
+	assert.deepEqual(validateDtoIn({ count: 5, ageInterval: "[min,max]", bornAfter: "1990-01-01", bornBefore: "1990-01-03" }), []);
+	assert.equal(validateDtoIn({ count: 5, ageInterval: "(min,max]" })[0].code, "INVALID_AGE_INTERVAL");
+	assert.equal(validateDtoIn({ count: 5, bornAfter: "someday" })[0].code, "INVALID_DATE");
+	assert.equal(validateDtoIn({ count: 5, bornAfter: "1990-01-01", bornBefore: "1990-01-02" })[0].code, "INVERTED_BIRTH_RANGE");
+	assert.throws(() => main({ count: 5, bornAfter: "2000-01-01", bornBefore: "1990-01-01", validation: "strict" }), { code: "INVERTED_BIRTH_RANGE" });
+
+	// Lenient mode ignores inverted bounds and falls back to the age range.
+	assert.equal(main({ count: 5, asOf, bornAfter: "2000-01-01", bornBefore: "1990-01-01" }).ageRange.min, 18);
+});
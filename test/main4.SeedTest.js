@@ -0,0 +1,58 @@
+import { test, mock } from "node:test";
+import { strict as assert } from "node:assert";
+import { compareEmpoyeeLists } from "./HelperFunctions.js"
+
+import { main, generateEmployeeData, getEmployeeStatistics } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING SEED TESTS!!!");
+console.log("-----------------------------");
+
+const dtoIn = {
+  count: 50,
+  age: {
+    min: 19,
+    max: 35
+  },
+  seed: 7
+};
+
+test('Testing that the same seed gives identical employee lists', () => {
+	compareEmpoyeeLists(generateEmployeeData(dtoIn), generateEmployeeData(dtoIn));
+});
+
+test('Testing that string seeds are supported', () => {
+	const stringDtoIn = { ...dtoIn, seed: "bug-1234" };
+	compareEmpoyeeLists(generateEmployeeData(stringDtoIn), generateEmployeeData(stringDtoIn));
+});
+
+test('Testing that different seeds give different employee lists', () => {
+	const a = generateEmployeeData(dtoIn);
+	const b = generateEmployeeData({ ...dtoIn, seed: 8 });
+	assert(a.some((e, i) => e.birthdate !== b[i].birthdate), 'Different seeds should produce different birthdates');
+});
+
+test('Testing that main accepts seed as an option', () => {
+	const a = main(50, { seed: 7 });
+	const b = main({ count: 50 }, { seed: 7 });
+	compareEmpoyeeLists(a.employees, b.employees);
+});
+
+test('Testing that a seed and the echoed asOf give the same list on another day', () => {
+	const today = main(dtoIn);
+	const now = Date.now();
+	const clock = mock.method(Date, "now", () => now + 24*60*60*1000);
+	try {
+		compareEmpoyeeLists(main({ ...dtoIn, asOf: today.asOf }).employees, today.employees);
+		compareEmpoyeeLists(generateEmployeeData({ ...dtoIn, asOf: today.asOf }), today.employees);
+	} finally {
+		clock.mock.restore();
+	}
+});
+
+test('Testing that seeded ages hold today', () => {
+	const employees = generateEmployeeData({ count: 200, seed: 1, age: { min: 20, max: 30 } });
+	const dtoOut = getEmployeeStatistics(employees);
+	assert(dtoOut.minAge >= 20 && dtoOut.maxAge < 30, 'Ages '+dtoOut.minAge+'..'+dtoOut.maxAge+' as of today');
+	assert.equal(main(dtoIn).asOf, new Date(new Date().setUTCHours(0, 0, 0, 0)).toISOString());
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { main, generateEmployeeData, getEmployeeStatistics } from "../main.js";
+import { completedYears } from "./HelperFunctions.js";
+
+console.log("-----------------------------");
+console.log("STARTING AS OF DATE TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+
+test('Testing that generation respects asOf date', () => {
+	const employees = generateEmployeeData({ count: 100, age: { min: 20, max: 30 }, asOf });
+	for(const person of employees){
+		// Exactly 20 on 15 June 2020 and not yet 30: born after 15 June 1990, on or before 15 June 2000.
+		const day = person.birthdate.slice(0, 10);
+		assert(day > "1990-06-15" && day <= "2000-06-15", 'Born '+day+' is outside of <20, 30) as of '+asOf);
+	}
+});
+
+test('Testing asOf around 29 February', () => {
+	// Born on 29 February 2000: still 20 on 28 February 2021, 21 on 1 March 2021.
+	const cases = [
+		{ asOf: "2020-02-29T00:00:00.000Z", after: "1998-02-29", until: "1999-02-29" },
+		{ asOf: "2021-02-28T00:00:00.000Z", after: "1999-02-28", until: "2000-02-28" },
+		{ asOf: "2021-03-01T00:00:00.000Z", after: "1999-03-01", until: "2000-03-01" },
+	];
+	for(const { asOf, after, until } of cases){
+		const employees = generateEmployeeData({ count: 500, age: { min: 21, max: 22 }, seed: 29, asOf, birthdateFormat: "date" });
+		assert(employees.every((e) => e.birthdate > after && e.birthdate <= until), 'Birthdates as of '+asOf);
+		assert(employees.every((e) => completedYears(e.birthdate, asOf) === 21));
+	}
+	const leapling = [{ name: "Emma", surname: "Smith", gender: "female", birthdate: "2000-02-29", workload: 10 }];
+	assert.equal(getEmployeeStatistics(leapling, { asOf: "2021-02-28T00:00:00.000Z", agePolicy: "truncated" }).minAge, 20);
+	assert.equal(getEmployeeStatistics(leapling, { asOf: "2021-03-01T00:00:00.000Z", agePolicy: "truncated" }).minAge, 21);
+});
+
+test('Testing that statistics respect asOf option', () => {
+	const employees = [
+		{ name: "Emma", surname: "Smith", gender: "female", birthdate: "2000-06-15T00:00:00.000Z", workload: 10 },
+		{ name: "John", surname: "Brown", gender: "male", birthdate: "1980-06-15T00:00:00.000Z", workload: 40 },
+	];
+	const dtoOut = getEmployeeStatistics(employees, { asOf: new Date(asOf) });
+	assert.equal(dtoOut.minAge, 20);
+	assert.equal(dtoOut.maxAge, 40);
+	assert.equal(dtoOut.medianAge, 30);
+	assert.equal(dtoOut.averageAge, 30);
+});
+
+test('Testing that main passes asOf to generation and statistics', () => {
+	const a = main({ count: 30, age: { min: 19, max: 35 }, seed: 1 }, { asOf });
+	const b = main({ count: 30, age: { min: 19, max: 35 }, seed: 1, asOf });
+	assert.deepEqual(a, b);
+	assert(a.minAge >= 19 && a.maxAge < 35, 'Ages as of '+asOf+' should stay in the requested range');
+});
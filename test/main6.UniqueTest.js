@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING UNIQUENESS TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+
+test('Testing that unique mode gives distinct birthdates', () => {
+	const employees = generateEmployeeData({ count: 2000, age: { min: 30, max: 31 }, unique: true, seed: 3 });
+	const dates = new Set(employees.map((e) => e.birthdate));
+	assert.equal(dates.size, employees.length);
+});
+
+test('Testing that unique names mode gives distinct name+surname pairs', () => {
+	const employees = generateEmployeeData({ count: 128, age: { min: 19, max: 35 }, unique: { names: true }, seed: 3 });
+	const pairs = new Set(employees.map((e) => e.name + " " + e.surname));
+	assert.equal(pairs.size, employees.length);
+	for(const person of employees){
+		assert(["male", "female"].includes(person.gender), 'Unexpected gender '+person.gender);
+	}
+});
+
+test('Testing that too many unique names throws a clear error', () => {
+	assert.throws(
+		() => generateEmployeeData({ count: 129, unique: { names: true } }),
+		(error) => error instanceof RangeError && /unique names/.test(error.message)
+	);
+});
+
+test('Testing that a too narrow age range for unique birthdates throws', () => {
+	assert.throws(
+		() => generateEmployeeData({ count: 2, age: { min: 30, max: 30 }, unique: true, asOf }),
+		(error) => error instanceof RangeError && /unique birthdates/.test(error.message)
+	);
+});
+
+test('Testing that unique day birthdates keep the age distribution and fill a crowded range fast', () => {
+	const ageDistribution = { type: "normal", mean: 40, stddev: 2 };
+	const employees = generateEmployeeData({ count: 500, unique: true, birthdateFormat: "date", ageDistribution, seed: 4, asOf });
+	assert.equal(new Set(employees.map((e) => e.birthdate)).size, 500);
+	// Born between 36 and 44 years before asOf: within two standard deviations of the mean.
+	const inside = employees.filter((e) => e.birthdate > "1976-06-15" && e.birthdate <= "1984-06-15").length;
+	assert(inside / employees.length > 0.9, 'Share within two standard deviations '+inside / employees.length);
+
+	// 15,000 distinct days out of about 17,000 in the default age range.
+	const start = Date.now();
+	const crowded = generateEmployeeData({ count: 15000, unique: true, birthdateFormat: "date", ageDistribution, seed: 4, asOf });
+	const elapsed = Date.now() - start;
+	assert.equal(new Set(crowded.map((e) => e.birthdate)).size, 15000);
+	assert(elapsed < 2000, 'Generating took '+elapsed+' ms');
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData } from "../main.js";
+import { LOCALES } from "../src/locales.js";
+
+console.log("-----------------------------");
+console.log("STARTING LOCALE TESTS!!!");
+console.log("-----------------------------");
+
+test('Testing that Czech locale uses female surname forms for women', () => {
+	const employees = generateEmployeeData({ count: 200, locale: "cs", seed: 5 });
+	const cs = LOCALES.cs;
+	for(const person of employees){
+		const expected = person.gender === "female" ? cs.femaleSurnames : cs.surnames;
+		assert(expected.includes(person.surname), 'Surname '+person.surname+' does not match gender '+person.gender);
+		const names = person.gender === "female" ? cs.femaleNames : cs.maleNames;
+		assert(names.includes(person.name), 'Name '+person.name+' is not from the Czech pack');
+	}
+});
+
+test('Testing that surname coverage works with gendered surname forms', () => {
+	const employees = generateEmployeeData({ count: 10, locale: "cs", seed: 11 });
+	const covered = new Set(employees.map((e) => {
+		const i = LOCALES.cs.femaleSurnames.indexOf(e.surname);
+		return i >= 0 ? i : LOCALES.cs.surnames.indexOf(e.surname);
+	}));
+	assert.equal(covered.size, LOCALES.cs.surnames.length);
+});
+
+test('Testing that custom dictionaries replace locale lists', () => {
+	const dictionary = { maleNames: ["Adam"], femaleNames: ["Eva"], surnames: ["Kovář", "Malý"] };
+	const employees = generateEmployeeData({ count: 50, locale: "cs", dictionary, seed: 2 });
+	const surnames = new Set(employees.map((e) => e.surname));
+	for(const person of employees){
+		assert.equal(person.name, person.gender === "female" ? "Eva" : "Adam");
+	}
+	for(const surname of surnames){
+		assert(["Kovář", "Malý", "Kovářová", "Malá"].includes(surname), 'Unexpected surname '+surname);
+	}
+});
+
+test('Testing that unknown locale falls back to English', () => {
+	for(const locale of ["xx", "toString", "__proto__"]){
+		const employees = generateEmployeeData({ count: 20, locale, seed: 1 });
+		for(const person of employees){
+			assert(LOCALES.en.surnames.includes(person.surname), 'Unexpected surname '+person.surname+' for locale '+locale);
+		}
+	}
+});
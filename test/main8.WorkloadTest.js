@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics } from "../main.js";
+
+console.log("-----------------------------");
+console.log("STARTING WORKLOAD DISTRIBUTION TESTS!!!");
+console.log("-----------------------------");
+
+test('Testing that custom workload values and weights are used', () => {
+	const workloads = [{ value: 40, weight: 60 }, { value: 15, weight: 20 }, { value: 35, weight: 20 }];
+	const employees = generateEmployeeData({ count: 2000, workloads, seed: 4 });
+	const dtoOut = getEmployeeStatistics(employees);
+
+	assert.deepEqual(Object.keys(dtoOut.workloadCounts), ["15", "35", "40"]);
+	assert.equal(dtoOut.workloadCounts[15] + dtoOut.workloadCounts[35] + dtoOut.workloadCounts[40], 2000);
+	assert(Math.abs(dtoOut.workloadCounts[40] / 2000 - 0.6) < 0.05, 'Share of workload 40 should be about 60 %');
+	assert.equal(dtoOut.workload40, dtoOut.workloadCounts[40]);
+	assert.equal(dtoOut.workload10, 0);
+	assert.deepEqual(dtoOut.statistics.workloadCounts, dtoOut.workloadCounts);
+});
+
+test('Testing that plain workload numbers are accepted', () => {
+	const employees = generateEmployeeData({ count: 200, workloads: [20, 40], seed: 4 });
+	for(const person of employees){
+		assert([20, 40].includes(person.workload), 'Unexpected workload '+person.workload);
+	}
+});
+
+test('Testing that invalid workload definitions fall back to defaults', () => {
+	const employees = generateEmployeeData({ count: 200, workloads: [{ value: "x" }], seed: 4 });
+	const dtoOut = getEmployeeStatistics(employees);
+	assert.deepEqual(Object.keys(dtoOut.workloadCounts), ["10", "20", "30", "40"]);
+});
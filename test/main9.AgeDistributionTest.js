@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+
+import { generateEmployeeData, getEmployeeStatistics } from "../main.js";
+import { completedYears } from "./HelperFunctions.js";
+
+console.log("-----------------------------");
+console.log("STARTING AGE DISTRIBUTION TESTS!!!");
+console.log("-----------------------------");
+
+const asOf = "2020-06-15T00:00:00.000Z";
+const age = { min: 20, max: 60 };
+
+/**
+ * Generate employees and return their completed calendar years as of the fixed date.
+ * @param ageDistribution
+ */
+function agesFor(ageDistribution) {
+	const employees = generateEmployeeData({ count: 3000, age, asOf, seed: 9, ageDistribution });
+	return employees.map((e) => completedYears(e.birthdate, asOf));
+}
+
+const distributions = [
+	"uniform",
+	{ type: "normal", mean: 35, stddev: 5 },
+	{ type: "normal", mean: 90, stddev: 2 },
+	{ type: "triangular", mode: 25 },
+	{ type: "histogram", bands: [{ min: 20, max: 30, weight: 3 }, { min: 50, max: 70, weight: 1 }] },
+];
+
+for(const ageDistribution of distributions){
+	test('Testing that ages stay in range for '+JSON.stringify(ageDistribution), () => {
+		for(const years of agesFor(ageDistribution)){
+			assert(years >= age.min && years < age.max, 'Age '+years+' is outside of <'+age.min+', '+age.max+')');
+		}
+	});
+}
+
+test('Testing that normal distribution is centred on its mean', () => {
+	const ages = agesFor({ type: "normal", mean: 35, stddev: 5 });
+	// Completed years drop the fraction of the year since the last birthday, half a year on average.
+	const mean = ages.reduce((a, b) => a + b, 0) / ages.length;
+	assert(Math.abs(mean - 34.5) < 0.5, 'Mean completed age '+mean+' should be about 34.5');
+});
+
+test('Testing that histogram bands are respected', () => {
+	const ages = agesFor({ type: "histogram", bands: [{ min: 20, max: 30, weight: 3 }, { min: 50, max: 70, weight: 1 }] });
+	assert(ages.every((a) => a < 30 || a >= 50), 'No age should fall between the bands');
+	const young = ages.filter((a) => a < 30).length / ages.length;
+	assert(Math.abs(young - 0.75) < 0.05, 'Share of the first band '+young+' should be about 75 %');
+});
+
+test('Testing that statistics work on distributed ages', () => {
+	const employees = generateEmployeeData({ count: 100, age, asOf, seed: 9, ageDistribution: "triangular" });
+	const dtoOut = getEmployeeStatistics(employees, { asOf });
+	assert(dtoOut.minAge >= age.min && dtoOut.maxAge < age.max);
+});